@@ -0,0 +1,155 @@
+const http = require('http')
+const crypto = require('crypto')
+const { formatPrometheus } = require('./metrics')
+
+const MAX_BODY_SIZE = 16 * 1024
+
+// Serialise first: a body that can't be turned into JSON must not leave the headers sent
+function sendJson(res, status, body) {
+    const json = JSON.stringify(body)
+    res.writeHead(status, { 'Content-Type': 'application/json' })
+    res.end(json)
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = ''
+        req.on('data', chunk => {
+            data += chunk
+            if (data.length > MAX_BODY_SIZE) {
+                reject(new Error('Request body too large'))
+                req.destroy()
+            }
+        })
+        req.on('end', () => {
+            if (!data) return resolve({})
+            try {
+                resolve(JSON.parse(data))
+            } catch (err) {
+                reject(new Error('Request body is not valid JSON'))
+            }
+        })
+        req.on('error', reject)
+    })
+}
+
+function isAuthorized(req, url, token) {
+    if (!token) return true
+
+    const header = req.headers.authorization || ''
+    const provided = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token')
+    if (!provided) return false
+
+    const a = Buffer.from(provided)
+    const b = Buffer.from(token)
+    return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+// POST /bots/:name/<action> handlers. Each returns the JSON response body.
+const ACTIONS = {
+    'kill/start': (bot) => ({ ok: bot.startKilling() }),
+    'kill/stop': (bot) => ({ ok: bot.stopKilling() }),
+    'reconnect': (bot) => {
+        bot.forceReconnect()
+        return { ok: true }
+    },
+    'shutdown': (bot) => {
+        bot.shutdown()
+        return { ok: true }
+    },
+    'targeting': (bot, body) => {
+        const killer = bot.getRole('killer')
+        if (!killer) {
+            throw Object.assign(new Error('This bot has no killer role'), { status: 409 })
+        }
+        return { ok: true, targeting: killer.targeting.update(body) }
+    },
+    'chat': (bot, body) => {
+        if (typeof body.message !== 'string' || !body.message.trim()) {
+            throw Object.assign(new Error('"message" is required'), { status: 400 })
+        }
+        return { ok: bot.chat(body.message) }
+    }
+}
+
+/**
+ * Start the fleet control API. Everything is JSON:
+ *   GET  /metrics                  farming metrics of every bot, Prometheus text format
+ *   GET  /bots                     status of every bot
+ *   GET  /bots/:name               status of one bot
+ *   POST /bots/:name/kill/start    start the killer role
+ *   POST /bots/:name/kill/stop     stop the killer role
+ *   POST /bots/:name/reconnect     drop the connection and reconnect now
+ *   POST /bots/:name/shutdown      disconnect without reconnecting
+ *   POST /bots/:name/targeting     change killer targeting, e.g. {"blacklist": ["cow"]}
+ *   POST /bots/:name/chat          send {"message": "..."} as chat
+ * When `token` is set, requests must send it as a Bearer token or ?token=.
+ */
+function startApiServer(bots, { host = '127.0.0.1', port = 3000, token } = {}, logger) {
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`)
+
+        if (!isAuthorized(req, url, token)) {
+            return sendJson(res, 401, { error: 'Unauthorized' })
+        }
+
+        const parts = url.pathname.split('/').filter(Boolean)
+        if (parts.length === 1 && parts[0] === 'metrics') {
+            if (req.method !== 'GET') return sendJson(res, 405, { error: 'Method not allowed' })
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' })
+            return res.end(formatPrometheus(Object.values(bots)))
+        }
+        if (parts[0] !== 'bots') {
+            return sendJson(res, 404, { error: 'Not found' })
+        }
+
+        try {
+            if (parts.length === 1) {
+                if (req.method !== 'GET') return sendJson(res, 405, { error: 'Method not allowed' })
+                return sendJson(res, 200, Object.values(bots).map(bot => bot.getStatus()))
+            }
+
+            // Own keys only, so "constructor" or "toString" never match
+            const bot = Object.hasOwn(bots, parts[1]) ? bots[parts[1]] : null
+            if (!bot) {
+                return sendJson(res, 404, { error: `Unknown bot "${parts[1]}"` })
+            }
+
+            if (parts.length === 2) {
+                if (req.method !== 'GET') return sendJson(res, 405, { error: 'Method not allowed' })
+                return sendJson(res, 200, bot.getStatus())
+            }
+
+            const actionName = parts.slice(2).join('/')
+            const action = Object.hasOwn(ACTIONS, actionName) ? ACTIONS[actionName] : null
+            if (!action) {
+                return sendJson(res, 404, { error: 'Unknown action' })
+            }
+            if (req.method !== 'POST') {
+                return sendJson(res, 405, { error: 'Method not allowed' })
+            }
+
+            const body = await readJsonBody(req)
+            bot.log(`🌐 API: ${actionName}`)
+            sendJson(res, 200, action(bot, body))
+        } catch (err) {
+            if (res.headersSent) {
+                logger.error(`❌ Control API response failed: ${err.message}`)
+                return res.end()
+            }
+            sendJson(res, err.status || 400, { error: err.message })
+        }
+    })
+
+    server.listen(port, host, () => {
+        logger.info(`🌐 Control API listening on http://${host}:${port}${token ? ' (token required)' : ''}`)
+    })
+
+    server.on('error', (err) => {
+        logger.error(`❌ Control API error: ${err.message}`)
+    })
+
+    return server
+}
+
+module.exports = { startApiServer }
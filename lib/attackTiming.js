@@ -0,0 +1,165 @@
+// Attacks per second for held items on 1.9+ (vanilla attack_speed attribute).
+// minecraft-data doesn't carry this attribute, so these are the 1.21 values;
+// they haven't changed since 1.9 for items that existed then (netherite came
+// in 1.16, the mace in 1.21). Anything not listed, including an empty hand,
+// attacks at 4.0.
+const ATTACK_SPEEDS = {
+    wooden_sword: 1.6,
+    stone_sword: 1.6,
+    iron_sword: 1.6,
+    golden_sword: 1.6,
+    diamond_sword: 1.6,
+    netherite_sword: 1.6,
+    wooden_axe: 0.8,
+    stone_axe: 0.8,
+    iron_axe: 0.9,
+    golden_axe: 1.0,
+    diamond_axe: 1.0,
+    netherite_axe: 1.0,
+    wooden_pickaxe: 1.2,
+    stone_pickaxe: 1.2,
+    iron_pickaxe: 1.2,
+    golden_pickaxe: 1.2,
+    diamond_pickaxe: 1.2,
+    netherite_pickaxe: 1.2,
+    wooden_shovel: 1.0,
+    stone_shovel: 1.0,
+    iron_shovel: 1.0,
+    golden_shovel: 1.0,
+    diamond_shovel: 1.0,
+    netherite_shovel: 1.0,
+    wooden_hoe: 1.0,
+    stone_hoe: 2.0,
+    iron_hoe: 3.0,
+    golden_hoe: 1.0,
+    diamond_hoe: 4.0,
+    netherite_hoe: 4.0,
+    trident: 1.1,
+    mace: 0.6
+}
+
+const DEFAULT_ATTACK_SPEED = 4.0
+
+// One game tick of slack so lag doesn't land a hit just before full charge
+const TICK_MS = 50
+
+const MODES = ['auto', 'cooldown', 'full', 'legacy']
+
+const DEFAULTS = {
+    mode: 'auto',
+    minCharge: 0.9,
+    legacyInterval: 100
+}
+
+const STATS_WINDOW = 60 * 1000
+
+// A mob that dies this soon after our last swing at it counts as our kill
+const KILL_CREDIT_WINDOW = 3000
+
+/**
+ * Decides when the killer may swing again.
+ *   cooldown: wait until the weapon is recharged to `minCharge`
+ *   full:     only swing at full charge
+ *   legacy:   swing every `legacyInterval` ms (1.8 servers have no cooldown)
+ *   auto:     legacy before 1.9, cooldown from 1.9 on
+ * Also keeps swing, hit and kill counts for the last minute.
+ */
+class AttackTiming {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options }
+        if (!MODES.includes(this.options.mode)) {
+            throw new Error(`Unknown attack mode "${this.options.mode}" (expected one of: ${MODES.join(', ')})`)
+        }
+        if (!(this.options.minCharge > 0 && this.options.minCharge <= 1)) {
+            throw new Error('Attack minCharge must be between 0 and 1')
+        }
+        if (!(this.options.legacyInterval >= TICK_MS)) {
+            throw new Error(`Attack legacyInterval must be at least ${TICK_MS} ms`)
+        }
+        this.lastAttackAt = 0
+        this.recentTargets = new Map() // entity id -> time of last swing at it
+        this.swings = []
+        this.hits = []
+        this.kills = []
+        this.totalSwings = 0
+        this.totalHits = 0
+        this.totalKills = 0
+    }
+
+    getMode(bot) {
+        if (this.options.mode !== 'auto') return this.options.mode
+        return bot.registry.version['>=']('1.9') ? 'cooldown' : 'legacy'
+    }
+
+    getCooldown(bot) {
+        const item = bot.heldItem
+        const speed = (item && ATTACK_SPEEDS[item.name]) || DEFAULT_ATTACK_SPEED
+        return 1000 / speed
+    }
+
+    msUntilReady(bot) {
+        const elapsed = Date.now() - this.lastAttackAt
+        const mode = this.getMode(bot)
+
+        if (mode === 'legacy') return this.options.legacyInterval - elapsed
+
+        const charge = mode === 'full' ? 1 : this.options.minCharge
+        return this.getCooldown(bot) * charge + TICK_MS - elapsed
+    }
+
+    // Switching items resets the cooldown in vanilla
+    resetCooldown() {
+        this.lastAttackAt = Date.now()
+    }
+
+    recordAttack(target) {
+        const now = Date.now()
+        this.lastAttackAt = now
+        this.recentTargets.set(target.id, now)
+        this.swings.push(now)
+        this.totalSwings++
+        this.prune()
+    }
+
+    // A swing that landed, seen as the target's hurt animation
+    recordHit() {
+        this.hits.push(Date.now())
+        this.totalHits++
+        this.prune()
+    }
+
+    // Returns true when the dead entity was one of ours
+    recordDeath(entity) {
+        const swungAt = this.recentTargets.get(entity.id)
+        this.recentTargets.delete(entity.id)
+        if (!swungAt || Date.now() - swungAt > KILL_CREDIT_WINDOW) return false
+
+        this.kills.push(Date.now())
+        this.totalKills++
+        return true
+    }
+
+    prune() {
+        const cutoff = Date.now() - STATS_WINDOW
+        while (this.swings.length && this.swings[0] < cutoff) this.swings.shift()
+        while (this.hits.length && this.hits[0] < cutoff) this.hits.shift()
+        while (this.kills.length && this.kills[0] < cutoff) this.kills.shift()
+        this.recentTargets.forEach((time, id) => {
+            if (time < cutoff) this.recentTargets.delete(id)
+        })
+    }
+
+    getStats() {
+        this.prune()
+        return {
+            swingsPerMinute: this.swings.length,
+            hitsPerMinute: this.hits.length,
+            killsPerMinute: this.kills.length,
+            totalSwings: this.totalSwings,
+            totalHits: this.totalHits,
+            totalKills: this.totalKills
+        }
+    }
+}
+
+module.exports = { AttackTiming, ATTACK_SPEEDS }
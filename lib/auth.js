@@ -0,0 +1,161 @@
+const MODES = ['auto', 'always', 'none']
+
+const DEFAULTS = {
+    mode: 'auto',
+    registerPrompt: '/register',
+    loginPrompt: '/login',
+    success: 'successfully (?:logged in|registered|authenticated)|logged in successfully|welcome back|login successful',
+    wrongPassword: 'wrong password|incorrect password|invalid password',
+    captcha: 'captcha',
+    registerCommand: '/register {password} {password}',
+    loginCommand: '/login {password}',
+    promptWait: 5000,
+    responseTimeout: 5000,
+    retries: 3
+}
+
+/**
+ * Handles server-side auth plugins (AuthMe and friends). Watches chat for a
+ * /register or /login prompt, answers it, and waits for the plugin to say
+ * whether it worked. Resolves with how we got in, or rejects with
+ * err.permanent set when retrying can't help (wrong password, captcha).
+ *
+ *   auto:   answer prompts; no prompt within promptWait means no plugin
+ *   always: send /login straight away like a plain client macro would
+ *   none:   skip auth entirely
+ */
+class Authenticator {
+    constructor(owner, options = {}) {
+        this.owner = owner
+        this.options = { ...DEFAULTS, ...options }
+        if (!MODES.includes(this.options.mode)) {
+            throw new Error(`Unknown login mode "${this.options.mode}" (expected one of: ${MODES.join(', ')})`)
+        }
+
+        this.patterns = {}
+        for (const key of ['registerPrompt', 'loginPrompt', 'success', 'wrongPassword', 'captcha']) {
+            this.patterns[key] = new RegExp(this.options[key], 'i')
+        }
+    }
+
+    log(message, level) {
+        this.owner.log(message, level)
+    }
+
+    // Used for both the login and the register command. A function replacer keeps "$$" or "$&" in a password literal
+    fill(template) {
+        const password = this.owner.config.password
+        return template.replace(/\{password\}/g, () => password)
+    }
+
+    // Kick messages from the auth plugin that mean we should stop reconnecting
+    isPermanentKick(reason) {
+        return this.patterns.wrongPassword.test(reason) || this.patterns.captcha.test(reason)
+    }
+
+    /**
+     * Call on 'login', before the world loads, since prompts often arrive
+     * before spawn. Returns { wait, cancel } like JoinConfirmation.
+     */
+    start() {
+        const bot = this.owner.bot
+        const timers = new Set()
+        let outcome = null
+        let settle = null
+        let attempts = 0
+        let pending = null // 'login' or 'register' while waiting for a reply
+
+        const setTimer = (ms, fn) => {
+            const timer = setTimeout(() => {
+                timers.delete(timer)
+                this.owner.timeouts.delete(timer)
+                fn()
+            }, ms)
+            timers.add(timer)
+            this.owner.timeouts.add(timer)
+        }
+
+        const cleanup = () => {
+            timers.forEach(timer => {
+                clearTimeout(timer)
+                this.owner.timeouts.delete(timer)
+            })
+            timers.clear()
+            bot.removeListener('message', onMessage)
+        }
+
+        const finish = (result) => {
+            if (outcome) return
+            outcome = result
+            cleanup()
+            if (settle) settle(result)
+        }
+
+        const fail = (message, permanent) => {
+            finish({ error: Object.assign(new Error(message), { permanent }) })
+        }
+
+        const send = (kind) => {
+            if (!this.owner.config.password) {
+                return fail(`Server asked us to ${kind} but no password is configured`, true)
+            }
+            if (attempts >= this.options.retries) {
+                return fail(`No answer to /${kind} after ${attempts} attempts`, false)
+            }
+
+            attempts++
+            pending = kind
+            bot.chat(this.fill(kind === 'register' ? this.options.registerCommand : this.options.loginCommand))
+            this.log(`🔐 Sent /${kind} (attempt ${attempts}/${this.options.retries})`)
+
+            const attempt = attempts
+            setTimer(this.options.responseTimeout, () => {
+                if (!outcome && attempts === attempt) send(kind)
+            })
+        }
+
+        const onMessage = (jsonMsg, position) => {
+            if (position === 'chat') return
+            const text = jsonMsg.toString()
+
+            if (this.patterns.wrongPassword.test(text)) {
+                return fail(`Wrong password: ${text}`, true)
+            }
+            if (this.patterns.captcha.test(text)) {
+                return fail(`Captcha required, solve it by hand: ${text}`, true)
+            }
+            if (this.patterns.success.test(text)) {
+                return finish({ via: pending || 'plugin' })
+            }
+            if (pending) return
+
+            if (this.patterns.registerPrompt.test(text)) {
+                send('register')
+            } else if (this.patterns.loginPrompt.test(text)) {
+                send('login')
+            }
+        }
+
+        if (this.options.mode === 'none') {
+            finish({ via: 'none' })
+        } else {
+            bot.on('message', onMessage)
+            if (this.options.mode === 'always') send('login')
+        }
+
+        return {
+            wait: () => new Promise((resolve, reject) => {
+                settle = (result) => result.error ? reject(result.error) : resolve(result.via)
+                if (outcome) return settle(outcome)
+
+                // Nothing asked us to log in yet; give the plugin a moment before assuming there is none
+                setTimer(this.options.promptWait, () => {
+                    if (!pending) finish({ via: 'no auth prompt' })
+                })
+            }),
+            cancel: cleanup
+        }
+    }
+}
+
+module.exports = { Authenticator }
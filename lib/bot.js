@@ -0,0 +1,617 @@
+const mineflayer = require('mineflayer')
+const ROLES = require('./roles')
+const { runCommand, DEFAULT_PREFIX } = require('./commands')
+const { Navigator, resolveNavigation } = require('./navigation')
+const { JoinConfirmation } = require('./joinConfirm')
+const { Authenticator } = require('./auth')
+const { ReconnectPolicy } = require('./reconnect')
+const { ServerProbe } = require('./ping')
+const { RestartScheduler } = require('./restart')
+const { ChatQueue, AutoResponder } = require('./chat')
+const { TaskScheduler } = require('./tasks')
+
+/**
+ * Connection and lifecycle core shared by every bot in the fleet: connects,
+ * logs in, navigates the lobby menus (see ./navigation) and reconnects on failure. What the bot does once
+ * it has joined is decided by its roles (see ./roles).
+ */
+class Bot {
+    /**
+     * @param options  this bot's entry from the fleet config
+     * @param services fleet-wide objects shared by every bot ({ logger, metrics, notifier, chatRelay, tasks, commanders, reconnects, restarts })
+     */
+    constructor(options, services) {
+        this.name = options.name
+        this.logger = services.logger.child({ bot: options.name })
+        this.metrics = services.metrics.forBot(options.name)
+        this.notifier = services.notifier
+        this.chatRelay = services.chatRelay
+        this.bot = null
+        this.intervals = {
+            reconnect: null
+        }
+        this.timeouts = new Set() // Track all timeouts
+        this.state = {
+            isKilling: false,
+            isReconnecting: false,
+            isJoining: false,
+            lastHeldItem: null,
+            lastJoinFailure: null,
+            joinFailures: 0,
+            lastDisconnect: null,
+            permanentFailure: null,
+            reconnectAttempts: 0
+        }
+        this.config = {
+            host: options.host,
+            port: options.port,
+            username: options.username,
+            version: options.version,
+            password: options.password,
+            auth: options.auth || 'offline',
+            profilesFolder: options.profilesFolder,
+            reconnectDelay: options.reconnectDelay,
+            maxReconnectDelay: options.maxReconnectDelay,
+            commandPrefix: options.commandPrefix || DEFAULT_PREFIX
+        }
+        this.commanders = services.commanders
+        this.reconnects = services.reconnects
+        this.reconnectPolicy = new ReconnectPolicy(this.config, options.reconnect)
+        this.reconnectPending = false
+        this.probe = new ServerProbe(this, options.probe)
+        this.restarts = new RestartScheduler(this, { interval: options.restartInterval, ...options.restart }, services.restarts)
+        this.configuredVersion = options.version
+        this.connectedAt = null
+        this.pauses = new Set() // Reasons the bot's roles should hold still
+        this.navigator = new Navigator(this, resolveNavigation(options.navigation))
+        this.joinConfirmation = new JoinConfirmation(this, options.join)
+        this.authenticator = new Authenticator(this, options.login)
+        this.authentication = null
+        this.chatQueue = new ChatQueue(this, options.chat)
+        this.responder = new AutoResponder(this, options.chat)
+        this.tasks = new TaskScheduler(this, options.tasks, services.tasks)
+        this.xpPoints = null
+        this.lowHealthNotified = false
+        this.roles = options.roles.map(name => new ROLES[name](this, name, options[name]))
+        this.start()
+    }
+
+    async delay(ms) {
+        return new Promise(resolve => {
+            const timeout = setTimeout(() => {
+                this.timeouts.delete(timeout)
+                resolve()
+            }, ms)
+            this.timeouts.add(timeout)
+        })
+    }
+
+    // level is one of debug, info, warn, error (see ./logger)
+    log(message, level = 'info', fields) {
+        this.logger.log(level, message, fields)
+    }
+
+    cleanup() {
+        this.log('🧹 Cleaning up resources...')
+
+        // Clear all timeouts
+        this.timeouts.forEach(timeout => {
+            clearTimeout(timeout)
+        })
+        this.timeouts.clear()
+
+        // Clear all intervals
+        Object.keys(this.intervals).forEach(key => {
+            if (key !== 'reconnect' && this.intervals[key]) {
+                clearInterval(this.intervals[key])
+                this.intervals[key] = null
+            }
+        })
+
+        this.detachRoles()
+        this.restarts.stop()
+        this.tasks.stop()
+        this.metrics.endSession()
+
+        this.state.isKilling = false
+        this.state.isJoining = false
+        this.connectedAt = null
+        this.xpPoints = null
+        this.reconnectPending = false
+        this.probe.cancel()
+        this.chatQueue.clear()
+        this.pauses.clear()
+
+        if (this.bot) {
+            this.bot.removeAllListeners()
+
+            try {
+                if (this.bot._client && this.bot._client.socket) {
+                    this.bot.quit('Restarting...')
+                }
+            } catch (err) {
+                // Ignore quit errors
+            }
+
+            this.bot = null
+        }
+    }
+
+    // `probeInterval` makes the server probe run even if probing is disabled
+    async start({ probeInterval } = {}) {
+        if (this.state.isReconnecting) {
+            this.log('⏳ Already reconnecting, skipping...')
+            return
+        }
+
+        this.state.isReconnecting = true
+        this.cleanup()
+
+        const probe = await this.probe.wait(probeInterval)
+        if (!probe) return // cancelled by shutdown or another start()
+        // The server just came back: take a fleet slot so bots don't all log in at once
+        if (probe.waited) await this.delay(this.reconnects.reserve())
+
+        // With no version configured, use the one the server reports (re-detected on every start)
+        if (!this.configuredVersion && this.probe.status && this.probe.status.minecraftVersion) {
+            this.config.version = this.probe.status.minecraftVersion
+        }
+
+        try {
+            this.log(`🚀 Starting bot... (Attempt #${this.state.reconnectAttempts + 1})`)
+            this.bot = mineflayer.createBot(this.config)
+            this.setupEventHandlers()
+        } catch (err) {
+            this.log(`❌ Failed to create bot: ${err.message}`, 'error')
+            this.state.isReconnecting = false
+            this.scheduleReconnect()
+        }
+    }
+
+    /**
+     * `reason` picks the strategy from the reconnect policy (see ./reconnect).
+     * `delay` replaces the policy's delay, e.g. to stay offline for a while.
+     * Only one reconnect can be pending: kicked, end, error and a failing join
+     * often all fire for the same disconnect.
+     */
+    scheduleReconnect({ reason = 'default', delay: delayOverride } = {}) {
+        if (this.state.permanentFailure) {
+            this.log(`⛔ Not reconnecting: ${this.state.permanentFailure}`, 'error')
+            return
+        }
+        if (this.reconnectPending) return
+        this.metrics.countDisconnect(reason)
+
+        if (this.intervals.reconnect) {
+            clearInterval(this.intervals.reconnect)
+            this.intervals.reconnect = null
+        }
+
+        this.state.reconnectAttempts++
+        if (this.state.reconnectAttempts % this.notifier.options.reconnectAttempts === 0) {
+            this.notify('reconnecting', `Still offline after ${this.state.reconnectAttempts} reconnect attempts`, { reason })
+        }
+        const plan = this.reconnectPolicy.plan(reason, this.state.reconnectAttempts)
+        if (plan.action === 'giveUp' && !delayOverride) {
+            this.giveUp(`disconnected (${reason})`)
+            return
+        }
+
+        const waitForPing = plan.action === 'ping' && !delayOverride
+        const delay = this.reconnects.reserve(delayOverride || plan.delay)
+
+        this.log(`🔄 Scheduling reconnect in ${Math.round(delay / 1000)} seconds (${reason}${waitForPing ? ', then waiting for the server' : ''})... (Attempt #${this.state.reconnectAttempts})`)
+        this.cleanup()
+        this.state.isReconnecting = false
+        this.reconnectPending = true
+
+        // Use ONLY setTimeout, not both setInterval and setTimeout
+        const reconnectTimeout = setTimeout(() => {
+            this.timeouts.delete(reconnectTimeout)
+            if (!this.state.isReconnecting && !this.bot) {
+                this.log('🔄 Attempting to reconnect...')
+                this.start({ probeInterval: waitForPing ? plan.interval : undefined })
+            }
+        }, delay)
+        
+        this.timeouts.add(reconnectTimeout)
+    }
+
+    onDisconnect(event, detail) {
+        const message = this.reconnectPolicy.describe(detail, this.bot && this.bot.registry)
+        const reason = this.reconnectPolicy.classify(message, detail)
+        if (event === 'kicked') {
+            const banned = reason === 'banned' || reason === 'whitelist'
+            this.notify(banned ? 'banned' : 'kicked', `Kicked: ${message}`, { reason })
+        }
+
+        if (event === 'kicked' && this.authenticator.isPermanentKick(message)) {
+            this.metrics.countDisconnect('auth')
+            this.giveUp(`kicked by the auth plugin: ${message}`)
+            return
+        }
+
+        this.state.lastDisconnect = { event, reason, message, at: Date.now() }
+        this.scheduleReconnect({ reason })
+    }
+
+    setupEventHandlers() {
+        if (!this.bot) return
+
+        this.bot.once('login', () => {
+            this.log('🔐 Logged into server')
+            this.authentication = this.authenticator.start()
+            this.state.reconnectAttempts = 0
+            this.state.isReconnecting = false
+
+            if (this.intervals.reconnect) {
+                clearInterval(this.intervals.reconnect)
+                this.intervals.reconnect = null
+            }
+        })
+
+        this.bot.once('spawn', async () => {
+            try {
+                this.log('✅ Bot spawned successfully!')
+                this.connectedAt = Date.now()
+                this.metrics.startSession()
+                this.xpPoints = this.bot.experience.points
+                await this.delay(1000)
+                if (await this.authenticate()) {
+                    await this.loginAndJoin()
+                }
+            } catch (err) {
+                this.log(`❌ Spawn error: ${err.message}`, 'error')
+                this.scheduleReconnect()
+            }
+        })
+
+        this.bot.on('message', (jsonMsg, position) => {
+            const text = jsonMsg.toString()
+            if (this.logger.mirrorsChat(text, position)) this.log(`🗨️ ${text}`, 'info', { chat: position })
+            if (position === 'system') this.responder.handle('system', null, text)
+        })
+
+        // Deaths reset experience, so only count increases
+        this.bot.on('experience', () => {
+            const points = this.bot.experience.points
+            if (this.xpPoints !== null && points > this.xpPoints) this.metrics.count('xp', points - this.xpPoints)
+            this.xpPoints = points
+        })
+
+        this.bot.on('playerCollect', (collector, collected) => {
+            if (collector !== this.bot.entity || !['item', 'Item'].includes(collected.name)) return
+            let item = null
+            try {
+                item = collected.getDroppedItem()
+            } catch (err) {
+                // Metadata not received yet, count it as one
+            }
+            this.metrics.count('itemsPickedUp', item ? item.count : 1)
+        })
+
+        this.bot.on('death', () => {
+            this.notify('death', 'Died', { position: this.bot.entity.position.floored().toString() })
+        })
+
+        // Notify once per dip below the threshold, not on every health packet
+        this.bot.on('health', () => {
+            const low = this.bot.health > 0 && this.bot.health <= this.notifier.options.lowHealth
+            if (low && !this.lowHealthNotified) {
+                this.notify('lowHealth', `Low health (${Math.round(this.bot.health)}/20)`, { food: this.bot.food })
+            }
+            this.lowHealthNotified = low
+        })
+
+        this.bot.on('chat', (username, message) => {
+            this.onChat('chat', username, message)
+        })
+
+        this.bot.on('whisper', (username, message) => {
+            this.onChat('whisper', username, message)
+        })
+
+        this.bot.on('kicked', (reason) => {
+            this.log(`❌ Bot was kicked: ${this.reconnectPolicy.describe(reason, this.bot.registry)}`, 'error')
+            this.onDisconnect('kicked', reason)
+        })
+
+        this.bot.on('end', (reason) => {
+            this.log(`⚠️ Bot disconnected (${reason})`, 'warn')
+            this.onDisconnect('end', reason)
+        })
+
+        this.bot.on('error', (err) => {
+            this.log(`⚠️ Bot error: ${err.message}`, 'warn')
+            this.state.isReconnecting = false
+            this.onDisconnect('error', err)
+        })
+    }
+
+    // Returns false when we gave up for good (wrong password, captcha)
+    async authenticate() {
+        try {
+            const via = await this.authentication.wait()
+            this.log(`🔓 Authenticated (${via})`)
+            return true
+        } catch (err) {
+            if (!err.permanent) throw err
+            this.giveUp(err.message)
+            return false
+        }
+    }
+
+    // Stop for good after a failure that reconnecting won't fix
+    giveUp(reason) {
+        this.state.permanentFailure = reason
+        this.log(`⛔ Giving up: ${reason}. Not reconnecting until told to (restart command or API)`, 'error')
+        this.shutdown()
+    }
+
+    async loginAndJoin() {
+        try {
+            await this.joinServer()
+            await this.delay(5000)
+
+            this.restarts.start()
+            this.tasks.start()
+            this.attachRoles()
+
+            this.log(`🎮 All systems online! (roles: ${this.roles.map(role => role.name).join(', ')})`)
+        } catch (err) {
+            this.log(`❌ Login/join error: ${err.message}`, 'error')
+            this.scheduleReconnect({ reason: err.reason })
+        }
+    }
+
+    async joinServer() {
+        if (this.state.isJoining) return true
+
+        this.state.isJoining = true
+        const confirmation = this.joinConfirmation.start()
+
+        try {
+            this.log('⏳ Joining OneBlock...')
+            await this.navigator.run()
+            const via = await confirmation.wait()
+            this.state.lastJoinFailure = null
+            this.state.joinFailures = 0
+            this.log(`✅ Successfully joined OneBlock! (confirmed by ${via})`)
+            return true
+        } catch (err) {
+            confirmation.cancel()
+            if (err.reason) {
+                this.state.lastJoinFailure = err.reason
+                this.log(`❌ Join failed (${err.reason})`, 'error')
+            }
+            this.state.joinFailures++
+            if (err.reason === 'banned') {
+                this.notify('banned', `Join refused: ${err.message}`, { reason: err.reason })
+            } else if (this.state.joinFailures % this.notifier.options.joinFailures === 0) {
+                this.notify('joinFailed', `Join failed ${this.state.joinFailures} times in a row: ${err.message}`, { reason: err.reason || 'error' })
+            }
+            throw err
+        } finally {
+            this.state.isJoining = false
+        }
+    }
+
+    onChat(type, username, message) {
+        if (!this.bot || username === this.bot.username) return
+
+        this.chatRelay.relay(this.name, { type, username, message })
+        this.handleChatCommands(username, message)
+        this.responder.handle(type, username, message)
+    }
+
+    handleChatCommands(username, message) {
+        if (!this.bot || username === this.bot.username) return
+
+        runCommand(this, username, message, { prefix: this.config.commandPrefix })
+    }
+
+    hasPermission(username, permission) {
+        return this.commanders.hasRole(username, permission)
+    }
+
+    // Outgoing chat goes through the rate-limited queue (see ./chat)
+    whisper(username, message) {
+        if (!this.bot) return false
+        return this.chatQueue.whisper(username, message)
+    }
+
+    // Send an event to the configured webhooks (see ./notify); never throws
+    notify(event, message, fields) {
+        return this.notifier.notify(this.name, event, message, fields)
+    }
+
+    // Whisper every online commander with at least the given role
+    alertCommanders(message, role = 'operator') {
+        if (!this.bot || !this.connectedAt) return
+
+        this.commanders.list()
+            .filter(commander => this.commanders.hasRole(commander.name, role))
+            .filter(commander => Object.keys(this.bot.players).some(name => name.toLowerCase() === commander.name.toLowerCase()))
+            .forEach(commander => this.whisper(commander.name, `[${this.name}] ${message}`))
+    }
+
+    async holdItem(itemName) {
+        if (!this.bot || !this.bot.inventory) return false
+
+        const name = itemName.toLowerCase().trim()
+        const item = this.bot.inventory.items().find(i => i.name.includes(name))
+
+        if (!item) {
+            this.log(`❌ Item '${name}' not found in inventory!`, 'error')
+            return false
+        }
+
+        try {
+            await this.bot.equip(item, 'hand')
+            await this.delay(200)
+
+            if (this.bot.heldItem && this.bot.heldItem.name === item.name) {
+                this.log(`✋ Equipped ${item.name}`)
+                return true
+            }
+            return false
+        } catch (err) {
+            this.log(`⚠️ Failed to equip ${item.name}: ${err.message}`, 'warn')
+            return false
+        }
+    }
+
+    attachRoles() {
+        this.roles.forEach(role => role.attach())
+    }
+
+    detachRoles() {
+        this.roles.forEach(role => {
+            try {
+                role.detach()
+            } catch (err) {
+                this.log(`⚠️ Failed to detach ${role.name} role: ${err.message}`, 'warn')
+            }
+        })
+    }
+
+    // Go through the lobby menu again without reconnecting, once the bot has respawned
+    rejoin() {
+        if (!this.bot) return
+
+        this.log('🔁 Rejoining after respawn...')
+        this.detachRoles()
+        this.bot.once('spawn', async () => {
+            await this.delay(1000)
+            await this.loginAndJoin()
+        })
+    }
+
+    pause(reason) {
+        if (!this.pauses.has(reason)) this.log(`⏸️ Paused (${reason})`)
+        this.pauses.add(reason)
+    }
+
+    resume(reason) {
+        if (this.pauses.delete(reason)) this.log(`▶️ Resumed (${reason})`)
+    }
+
+    isPaused() {
+        return this.pauses.size > 0
+    }
+
+    getRole(name) {
+        return this.roles.find(role => role.name === name)
+    }
+
+    async dropItems(itemName) {
+        if (!this.bot || !this.bot.inventory) return 0
+
+        const name = itemName.toLowerCase().trim()
+        let dropped = 0
+
+        for (const item of this.bot.inventory.items().filter(i => i.name.includes(name))) {
+            try {
+                await this.bot.tossStack(item)
+                dropped += item.count
+            } catch (err) {
+                this.log(`⚠️ Failed to drop ${item.name}: ${err.message}`, 'warn')
+            }
+        }
+
+        if (dropped) this.log(`🗑️ Dropped ${dropped} ${name}`)
+        return dropped
+    }
+
+    // Walk in a straight line towards a position, jumping over small obstacles
+    async walkTo(position, { range = 2, timeout = 15000 } = {}) {
+        if (!this.bot || !this.bot.entity) return false
+
+        const deadline = Date.now() + timeout
+        try {
+            while (this.bot && Date.now() < deadline) {
+                if (this.bot.entity.position.distanceTo(position) <= range) return true
+
+                await this.bot.lookAt(position.offset(0, this.bot.entity.height, 0), true)
+                this.bot.setControlState('forward', true)
+                this.bot.setControlState('jump', this.bot.entity.isCollidedHorizontally)
+                await this.delay(100)
+            }
+            return false
+        } finally {
+            if (this.bot) this.bot.clearControlStates()
+        }
+    }
+
+    startKilling() {
+        const killer = this.getRole('killer')
+        if (!killer || !killer.attached) {
+            this.log('⚠️ Cannot start killing: no active killer role', 'warn')
+            return false
+        }
+        killer.startKilling()
+        return true
+    }
+
+    stopKilling() {
+        const killer = this.getRole('killer')
+        if (!killer) return false
+        killer.stopKilling()
+        return true
+    }
+
+    chat(message, options) {
+        if (!this.bot || !this.connectedAt) return false
+        if (!this.chatQueue.chat(message, options)) return false
+        this.log(`💬 Queued chat: ${message}`)
+        return true
+    }
+
+    forceReconnect() {
+        this.log('🔁 Forced reconnect requested')
+        this.state.permanentFailure = null
+        this.state.isReconnecting = false
+        this.state.reconnectAttempts = 0
+        this.start()
+    }
+
+    getStatus() {
+        const entity = this.bot && this.bot.entity
+        return {
+            name: this.name,
+            username: this.config.username,
+            roles: this.roles.map(role => role.name),
+            roleStatus: Object.fromEntries(this.roles
+                .map(role => [role.name, role.getStatus()])
+                .filter(([, status]) => status)),
+            online: Boolean(this.connectedAt),
+            state: { ...this.state },
+            paused: [...this.pauses],
+            chatQueue: this.chatQueue.size,
+            server: this.probe.status,
+            restart: this.restarts.getStatus(),
+            tasks: this.tasks.getStatus(),
+            uptime: this.connectedAt ? Math.round((Date.now() - this.connectedAt) / 1000) : 0,
+            health: this.connectedAt ? this.bot.health : null,
+            food: this.connectedAt ? this.bot.food : null,
+            position: entity && this.connectedAt
+                ? { x: entity.position.x, y: entity.position.y, z: entity.position.z }
+                : null
+        }
+    }
+
+    shutdown() {
+        this.log('🔚 Shutting down bot...')
+
+        Object.keys(this.intervals).forEach(key => {
+            if (this.intervals[key]) {
+                clearInterval(this.intervals[key])
+                this.intervals[key] = null
+            }
+        })
+
+        this.cleanup()
+    }
+}
+
+module.exports = Bot
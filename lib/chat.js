@@ -0,0 +1,338 @@
+const fs = require('fs')
+const path = require('path')
+
+const RELAY_FORMATS = ['json', 'discord']
+const RULE_SOURCES = ['chat', 'whisper', 'system']
+
+const QUEUE_DEFAULTS = {
+    interval: 1500,
+    maxQueue: 20
+}
+
+const RELAY_DEFAULTS = {
+    file: null,
+    webhooks: [],
+    whispers: true,
+    flushInterval: 2000,
+    dedupeWindow: 5000,
+    timeout: 5000
+}
+
+const RULE_DEFAULTS = {
+    on: ['chat', 'whisper'],
+    trusted: false,
+    cooldown: 30 * 1000
+}
+
+// Discord rejects messages longer than this
+const DISCORD_MAX_LENGTH = 2000
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Outgoing chat for one bot. Lines are sent at most one per `interval` so a
+ * burst of commands and replies never trips the server's spam filter; when
+ * more than `maxQueue` lines are waiting, new ones are dropped. A line's
+ * `onSent` callback runs once it has left the queue, which can be well after
+ * it was queued.
+ */
+class ChatQueue {
+    constructor(owner, options = {}) {
+        this.owner = owner
+        this.options = { ...QUEUE_DEFAULTS, ...options }
+        this.queue = []
+        this.lastSentAt = 0
+        this.timer = null
+    }
+
+    get size() {
+        return this.queue.length
+    }
+
+    log(message, level) {
+        this.owner.log(message, level)
+    }
+
+    // Returns false when the line was dropped
+    push(entry) {
+        if (this.queue.length >= this.options.maxQueue) {
+            this.log(`⚠️ Chat queue full, dropped: ${entry.message}`, 'warn')
+            return false
+        }
+        this.queue.push(entry)
+        this.pump()
+        return true
+    }
+
+    chat(message, { onSent } = {}) {
+        return this.push({ message, onSent })
+    }
+
+    whisper(username, message) {
+        return this.push({ username, message })
+    }
+
+    pump() {
+        if (this.timer || !this.queue.length) return
+
+        const wait = this.lastSentAt + this.options.interval - Date.now()
+        if (wait > 0) {
+            this.timer = setTimeout(() => {
+                this.timer = null
+                this.pump()
+            }, wait)
+            return
+        }
+
+        const bot = this.owner.bot
+        if (!bot) {
+            this.clear()
+            return
+        }
+
+        const { username, message, onSent } = this.queue.shift()
+        try {
+            if (username) bot.whisper(username, message)
+            else bot.chat(message)
+        } catch (err) {
+            this.log(`⚠️ Failed to send chat: ${err.message}`, 'warn')
+        }
+        this.lastSentAt = Date.now()
+        // Also after a failed send: whoever waits on the line shouldn't wait forever
+        if (onSent) onSent()
+        this.pump()
+    }
+
+    // Called on cleanup: nothing queued for the old connection is sent on the next one
+    clear() {
+        clearTimeout(this.timer)
+        this.timer = null
+        this.queue = []
+    }
+}
+
+/**
+ * Scripted replies for one bot. Each rule is
+ *   { match, response, on, trusted, reply, cooldown }
+ *
+ *   match:    regex, case-insensitive; {username} stands for the bot's own name
+ *   response: chat line or command; $1 / $<name> insert capture groups and
+ *             {player} the player the rule matched
+ *   on:       which lines to look at: "chat", "whisper" and/or "system"
+ *             (server messages, where the player is the `player` named group
+ *             or the first capture group)
+ *   trusted:  only answer commanders and players in `trusted`
+ *   reply:    "whisper" or "chat"; by default whispers are answered with a
+ *             whisper and everything else in chat
+ *   cooldown: per rule and player
+ *
+ * Accepting teleport requests from trusted players:
+ *   { "match": "^(\\w+) has requested to teleport to you", "on": ["system"],
+ *     "trusted": true, "response": "/tpaccept $1" }
+ */
+class AutoResponder {
+    constructor(owner, options = {}) {
+        this.owner = owner
+        this.trusted = new Set((options.trusted || []).map(name => name.toLowerCase()))
+        this.rules = (options.rules || []).map((rule, i) => this.buildRule(rule, i))
+        this.lastReplies = new Map() // "rule:player" -> time
+    }
+
+    buildRule(rule, index) {
+        const where = `chat.rules[${index}]`
+        if (typeof rule.match !== 'string' || !rule.match) throw new Error(`${where}.match must be a regex`)
+        if (typeof rule.response !== 'string' || !rule.response) throw new Error(`${where}.response is required`)
+
+        const options = { ...RULE_DEFAULTS, ...rule }
+        const sources = [].concat(options.on)
+        const unknown = sources.filter(source => !RULE_SOURCES.includes(source))
+        if (unknown.length) {
+            throw new Error(`${where}.on: unknown source ${unknown.join(', ')} (expected: ${RULE_SOURCES.join(', ')})`)
+        }
+        if (options.reply !== undefined && !['chat', 'whisper'].includes(options.reply)) {
+            throw new Error(`${where}.reply must be "chat" or "whisper"`)
+        }
+
+        const pattern = options.match.replace(/\{username\}/g, escapeRegExp(this.owner.config.username))
+        try {
+            return { ...options, index, on: sources, regex: new RegExp(pattern, 'i') }
+        } catch (err) {
+            throw new Error(`${where}.match is not a valid regex: ${err.message}`)
+        }
+    }
+
+    isTrusted(username) {
+        return this.trusted.has(username.toLowerCase()) || Boolean(this.owner.commanders.getRole(username))
+    }
+
+    /**
+     * @param source   "chat", "whisper" or "system"
+     * @param username sender for chat and whispers, null for system messages
+     */
+    handle(source, username, message) {
+        const bot = this.owner.bot
+        if (!bot || username === bot.username) return
+
+        for (const rule of this.rules) {
+            if (!rule.on.includes(source)) continue
+            const match = message.match(rule.regex)
+            if (!match) continue
+
+            const player = username || (match.groups && match.groups.player) || match[1] || null
+            if (rule.trusted && (!player || !this.isTrusted(player))) continue
+
+            const key = `${rule.index}:${player || ''}`
+            const now = Date.now()
+            if (now - (this.lastReplies.get(key) || 0) < rule.cooldown) continue
+            this.lastReplies.set(key, now)
+
+            const response = this.fill(rule.response, match, player)
+            const reply = rule.reply || (source === 'whisper' ? 'whisper' : 'chat')
+            this.owner.log(`🤖 Auto-reply (rule ${rule.index}) to ${player || 'server'}: ${response}`)
+            if (reply === 'whisper' && player) this.owner.whisper(player, response)
+            else this.owner.chat(response)
+            return
+        }
+    }
+
+    fill(response, match, player) {
+        return response
+            .replace(/\$(\d+)|\$<(\w+)>/g, (token, number, name) => {
+                const value = number !== undefined ? match[number] : match.groups && match.groups[name]
+                return value === undefined ? '' : value
+            })
+            .replace(/\{player\}/g, player || '')
+    }
+}
+
+/**
+ * Copies what the bots hear to a file and/or webhooks. One instance is shared
+ * by the fleet; public chat seen by several bots on the same server is only
+ * relayed once (same line within `dedupeWindow`). Webhook posts are batched
+ * every `flushInterval`; a webhook that is down only costs a log line.
+ */
+class ChatRelay {
+    constructor(options = {}, logger) {
+        this.options = { ...RELAY_DEFAULTS, ...options }
+        this.logger = logger
+
+        this.webhooks = this.options.webhooks.map((webhook, i) => {
+            const where = `chatRelay.webhooks[${i}]`
+            if (typeof webhook.url !== 'string' || !/^https?:\/\//.test(webhook.url)) {
+                throw new Error(`${where}.url must be an http(s) URL`)
+            }
+            const format = webhook.format || 'json'
+            if (!RELAY_FORMATS.includes(format)) {
+                throw new Error(`${where}.format must be one of: ${RELAY_FORMATS.join(', ')}`)
+            }
+            return { url: webhook.url, format }
+        })
+
+        if (this.options.file) fs.mkdirSync(path.dirname(this.options.file), { recursive: true })
+
+        this.recent = new Map() // chat line -> when it was last relayed
+        this.pending = []
+        this.timer = null
+        if (this.webhooks.length) {
+            this.timer = setInterval(() => this.flush(), this.options.flushInterval)
+            this.timer.unref()
+        }
+    }
+
+    get enabled() {
+        return Boolean(this.options.file || this.webhooks.length)
+    }
+
+    /**
+     * @param bot   name of the bot that heard it
+     * @param entry { type: "chat" | "whisper", username, message }
+     */
+    relay(bot, { type, username, message }) {
+        if (!this.enabled) return
+        if (type === 'whisper' && !this.options.whispers) return
+
+        const now = Date.now()
+        if (type === 'chat') {
+            const line = `${username}: ${message}`
+            this.recent.forEach((time, key) => {
+                if (now - time >= this.options.dedupeWindow) this.recent.delete(key)
+            })
+            if (this.recent.has(line)) return
+            this.recent.set(line, now)
+        }
+
+        const entry = { time: new Date(now).toISOString(), bot, type, username, message }
+        if (this.options.file) this.write(entry)
+        if (this.webhooks.length) this.pending.push(entry)
+    }
+
+    describe({ bot, type, username, message }) {
+        return type === 'whisper' ? `${username} -> ${bot}: ${message}` : `<${username}> ${message}`
+    }
+
+    write(entry) {
+        const line = `${entry.time} [${entry.bot}] ${this.describe(entry)}\n`
+        fs.appendFile(this.options.file, line, (err) => {
+            if (err) this.logger.warn(`⚠️ Failed to write chat relay file: ${err.message}`)
+        })
+    }
+
+    flush() {
+        if (!this.pending.length) return
+        const entries = this.pending
+        this.pending = []
+
+        // One webhook's posts go out in order so the lines stay in sequence
+        return Promise.all(this.webhooks.map(async webhook => {
+            for (const payload of this.buildPayloads(webhook.format, entries)) {
+                await this.post(webhook, payload)
+            }
+        }))
+    }
+
+    buildPayloads(format, entries) {
+        if (format === 'json') return [{ entries }]
+
+        // As many lines per message as fit; only a single line too long on its own is cut
+        const messages = []
+        let content = ''
+        for (const entry of entries) {
+            let line = `**${entry.bot}** ${this.describe(entry)}`
+            if (line.length > DISCORD_MAX_LENGTH) line = line.slice(0, DISCORD_MAX_LENGTH - 1) + '…'
+            if (content && content.length + 1 + line.length > DISCORD_MAX_LENGTH) {
+                messages.push(content)
+                content = ''
+            }
+            content = content ? `${content}\n${line}` : line
+        }
+        if (content) messages.push(content)
+
+        // Players must not be able to ping @everyone through the bots
+        return messages.map(content => ({ username: 'KillingBot chat', content, allowed_mentions: { parse: [] } }))
+    }
+
+    async post(webhook, payload) {
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+                signal: AbortSignal.timeout(this.options.timeout)
+            })
+            if (!response.ok) {
+                this.logger.warn(`⚠️ Chat webhook ${new URL(webhook.url).host} answered ${response.status}`)
+            }
+        } catch (err) {
+            this.logger.warn(`⚠️ Chat webhook ${new URL(webhook.url).host} failed: ${err.message}`)
+        }
+    }
+
+    close() {
+        clearInterval(this.timer)
+        return this.flush()
+    }
+}
+
+module.exports = { ChatQueue, AutoResponder, ChatRelay }
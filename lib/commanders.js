@@ -0,0 +1,90 @@
+const fs = require('fs')
+
+// Higher level includes everything below it
+const ROLE_LEVELS = {
+    viewer: 1,
+    operator: 2,
+    owner: 3
+}
+
+// Own keys only: "constructor" or "toString" are not roles
+function isRole(role) {
+    return typeof role === 'string' && Object.prototype.hasOwnProperty.call(ROLE_LEVELS, role)
+}
+
+/**
+ * Players allowed to command the fleet, each with a role. One instance is
+ * shared by every bot. The list lives in a JSON file mapping player name to
+ * role ({ "Steve": "owner" }); names are matched case-insensitively.
+ */
+class Commanders {
+    constructor(filePath) {
+        this.filePath = filePath
+        this.roles = new Map()
+        this.reload()
+    }
+
+    reload() {
+        let data = {}
+        try {
+            data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw new Error(`Commanders file ${this.filePath} is invalid: ${err.message}`)
+            }
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error(`Commanders file ${this.filePath} must map player names to roles, like { "Steve": "owner" }`)
+        }
+
+        const roles = new Map()
+        for (const [name, role] of Object.entries(data)) {
+            if (!isRole(role)) {
+                throw new Error(`Commanders file ${this.filePath}: unknown role "${role}" for ${name} (expected one of: ${Object.keys(ROLE_LEVELS).join(', ')})`)
+            }
+            roles.set(name.toLowerCase(), { name, role })
+        }
+
+        this.roles = roles
+        return roles.size
+    }
+
+    save() {
+        const data = {}
+        this.roles.forEach(({ name, role }) => {
+            data[name] = role
+        })
+        fs.writeFileSync(this.filePath, JSON.stringify(data, null, 4) + '\n')
+    }
+
+    getRole(username) {
+        const entry = this.roles.get(username.trim().toLowerCase())
+        return entry ? entry.role : null
+    }
+
+    hasRole(username, required) {
+        const role = this.getRole(username)
+        return isRole(role) && isRole(required) && ROLE_LEVELS[role] >= ROLE_LEVELS[required]
+    }
+
+    set(username, role) {
+        if (!isRole(role)) {
+            throw new Error(`Unknown role "${role}" (expected one of: ${Object.keys(ROLE_LEVELS).join(', ')})`)
+        }
+        this.roles.set(username.toLowerCase(), { name: username, role })
+        this.save()
+    }
+
+    remove(username) {
+        const removed = this.roles.delete(username.toLowerCase())
+        if (removed) this.save()
+        return removed
+    }
+
+    list() {
+        return [...this.roles.values()]
+    }
+}
+
+module.exports = { Commanders, ROLE_LEVELS, isRole }
@@ -0,0 +1,345 @@
+const { ROLE_LEVELS, isRole } = require('./commanders')
+
+const DEFAULT_PREFIX = '!'
+
+function formatDuration(seconds) {
+    if (seconds < 60) return `${seconds}s`
+    const minutes = Math.floor(seconds / 60)
+    if (minutes < 60) return `${minutes}m`
+    return `${Math.floor(minutes / 60)}h${minutes % 60}m`
+}
+
+/**
+ * In-game commands. Each entry declares the lowest commander role it needs
+ * (see ./commanders), its usage
+ * line for help, and a run(ctx, args) handler. ctx.owner is the Bot and
+ * ctx.reply() whispers back to whoever sent the command.
+ */
+const COMMANDS = {
+    help: {
+        permission: 'viewer',
+        usage: 'help [command]',
+        description: 'List commands or show usage of one',
+        run(ctx, args) {
+            if (args[0]) {
+                const command = COMMANDS[args[0].toLowerCase()]
+                if (!command) return ctx.reply(`Unknown command: ${args[0]}`)
+                return ctx.reply(`${ctx.prefix}${command.usage} - ${command.description}`)
+            }
+            const names = Object.keys(COMMANDS).filter(name => ctx.owner.hasPermission(ctx.username, COMMANDS[name].permission))
+            ctx.reply(`Commands: ${names.join(', ')} (${ctx.prefix}help <command> for usage)`)
+        }
+    },
+
+    status: {
+        permission: 'viewer',
+        usage: 'status',
+        description: 'Show health, food, position and activity',
+        run(ctx) {
+            const status = ctx.owner.getStatus()
+            if (!status.online) return ctx.reply(`${status.name}: offline`)
+            const { x, y, z } = status.position
+            const killer = status.roleStatus.killer
+            const server = status.server && status.server.online ? status.server : null
+            ctx.reply(`${status.name}: up ${formatDuration(status.uptime)}, hp ${Math.round(status.health)}, food ${status.food}, ` +
+                `at ${Math.round(x)} ${Math.round(y)} ${Math.round(z)}, killing ${status.state.isKilling ? 'on' : 'off'}` +
+                (killer ? `, ${killer.hitsPerMinute} hits/${killer.swingsPerMinute} swings/${killer.killsPerMinute} kills per min` : '') +
+                (server && server.players ? `, server ${server.players.online}/${server.players.max} (${server.latency} ms)` : ''))
+        }
+    },
+
+    stats: {
+        permission: 'viewer',
+        usage: 'stats',
+        description: 'Show lifetime farming statistics',
+        run(ctx) {
+            const stats = ctx.owner.metrics.getStats()
+            const topMobs = Object.entries(stats.kills)
+                .sort(([, a], [, b]) => b - a)
+                .slice(0, 3)
+                .map(([mob, kills]) => `${mob} ${kills}`)
+            const disconnects = Object.entries(stats.disconnects).map(([reason, count]) => `${reason} ${count}`)
+
+            ctx.reply(`${ctx.owner.name}: ${stats.totalKills} kills${topMobs.length ? ` (${topMobs.join(', ')})` : ''}, ` +
+                `${stats.attacks} attacks, ${stats.hitRate === null ? 'no' : `${stats.hitRate}%`} hit rate, ` +
+                `${stats.xp} xp, ${stats.itemsPickedUp} items picked up`)
+            ctx.reply(`${stats.sessions.count} sessions, ${formatDuration(stats.sessions.seconds + stats.currentSession)} online ` +
+                `(longest ${formatDuration(Math.max(stats.sessions.longest, stats.currentSession))}), ` +
+                `${formatDuration(stats.reconnecting.seconds)} reconnecting, ` +
+                `disconnects: ${disconnects.length ? disconnects.join(', ') : 'none'}`)
+        }
+    },
+
+    tasks: {
+        permission: 'viewer',
+        usage: 'tasks',
+        description: 'Show scheduled tasks and when they run next',
+        run(ctx) {
+            const tasks = ctx.owner.tasks.getStatus()
+            if (!tasks) return ctx.reply('No tasks configured')
+            const now = Date.now()
+            ctx.reply(tasks.map(task => {
+                const last = task.lastRun ? `${formatDuration(Math.round((now - Date.parse(task.lastRun)) / 1000))} ago` : 'never'
+                const next = Date.parse(task.next) <= now ? 'due' : `in ${formatDuration(Math.round((Date.parse(task.next) - now) / 1000))}`
+                const failed = task.lastResult && task.lastResult !== 'ok' ? ` (failed: ${task.lastResult})` : ''
+                return `${task.name}: last ${last}${failed}, next ${next}`
+            }).join('; '))
+        }
+    },
+
+    kill: {
+        permission: 'operator',
+        usage: 'kill start|stop',
+        description: 'Start or stop the mob killing loop',
+        run(ctx, args) {
+            const action = (args[0] || '').toLowerCase()
+            if (action === 'start') {
+                ctx.reply(ctx.owner.startKilling() ? 'Killing started' : 'This bot has no active killer role')
+            } else if (action === 'stop') {
+                ctx.reply(ctx.owner.stopKilling() ? 'Killing stopped' : 'This bot has no killer role')
+            } else {
+                ctx.reply(`Usage: ${ctx.prefix}${this.usage}`)
+            }
+        }
+    },
+
+    range: {
+        permission: 'operator',
+        usage: 'range <blocks>',
+        description: 'Set how far the killer reaches for mobs',
+        run(ctx, args) {
+            const killer = ctx.owner.getRole('killer')
+            if (!killer) return ctx.reply('This bot has no killer role')
+            const range = parseFloat(args[0])
+            if (!Number.isFinite(range) || range <= 0 || range > 16) {
+                return ctx.reply(`Current range is ${killer.targeting.options.maxRange}. Usage: ${ctx.prefix}${this.usage} (max 16)`)
+            }
+            killer.targeting.update({ maxRange: range })
+            ctx.reply(`Attack range set to ${range}`)
+        }
+    },
+
+    target: {
+        permission: 'operator',
+        usage: 'target [only|never <mob,...|none>] [priority <a,b>] [named|babies on|off] [vertical <n>]',
+        description: 'Show or change which mobs the killer attacks',
+        run(ctx, args) {
+            const killer = ctx.owner.getRole('killer')
+            if (!killer) return ctx.reply('This bot has no killer role')
+
+            const setting = (args[0] || '').toLowerCase()
+            const value = args[1] || ''
+            const list = value.toLowerCase() === 'none' ? [] : value.split(',').filter(Boolean)
+            const changes = {
+                only: { whitelist: list },
+                never: { blacklist: list },
+                priority: { priority: list },
+                named: { skipNamed: value.toLowerCase() === 'off' },
+                babies: { skipBabies: value.toLowerCase() === 'off' },
+                vertical: { verticalRange: parseFloat(value) }
+            }[setting]
+
+            if (setting && (!changes || !value)) {
+                return ctx.reply(`Usage: ${ctx.prefix}${this.usage}`)
+            }
+            if (changes) {
+                killer.targeting.update(changes)
+                ctx.owner.log(`🎯 Targeting changed by ${ctx.username}: ${killer.targeting.describe()}`)
+            }
+            ctx.reply(`Targeting: ${killer.targeting.describe()}`)
+        }
+    },
+
+    post: {
+        permission: 'operator',
+        usage: 'post [here|return]',
+        description: 'Show, move or walk back to the killer\'s AFK spot',
+        async run(ctx, args) {
+            const killer = ctx.owner.getRole('killer')
+            if (!killer || !killer.attached) return ctx.reply('This bot has no active killer role')
+
+            const action = (args[0] || '').toLowerCase()
+            if (action === 'here') {
+                killer.post.setHere()
+                killer.loot.setAnchor(killer.post.position)
+            } else if (action === 'return') {
+                ctx.reply(await killer.post.returnToPost() ? 'Back on post' : 'Could not get back to post')
+                return
+            } else if (action) {
+                return ctx.reply(`Usage: ${ctx.prefix}${this.usage}`)
+            }
+            const post = killer.post.getStatus()
+            ctx.reply(`Post at ${post.position}, ${post.drift} blocks away` +
+                (post.lastReturn ? `, last return ${post.lastReturn.via}` : ''))
+        }
+    },
+
+    hold: {
+        permission: 'operator',
+        usage: 'hold <item>',
+        description: 'Equip the first inventory item whose name matches',
+        async run(ctx, args) {
+            if (!args[0]) return ctx.reply(`Usage: ${ctx.prefix}${this.usage}`)
+            const equipped = await ctx.owner.holdItem(args[0])
+            ctx.reply(equipped ? `Holding ${ctx.owner.bot.heldItem.name}` : `Could not hold '${args[0]}'`)
+        }
+    },
+
+    drop: {
+        permission: 'operator',
+        usage: 'drop <item>',
+        description: 'Drop every inventory stack whose name matches',
+        async run(ctx, args) {
+            if (!args[0]) return ctx.reply(`Usage: ${ctx.prefix}${this.usage}`)
+            const count = await ctx.owner.dropItems(args[0])
+            ctx.reply(count ? `Dropped ${count} ${args[0]}` : `No '${args[0]}' in inventory`)
+        }
+    },
+
+    tpa: {
+        permission: 'operator',
+        usage: 'tpa',
+        description: 'Send a /tpa request to you',
+        run(ctx) {
+            ctx.owner.chat(`/tpa ${ctx.username}`)
+            ctx.reply('Teleport request sent')
+        }
+    },
+
+    tpahere: {
+        permission: 'operator',
+        usage: 'tpahere',
+        description: 'Ask you to teleport to the bot',
+        run(ctx) {
+            ctx.owner.chat(`/tpahere ${ctx.username}`)
+            ctx.reply('Teleport-here request sent')
+        }
+    },
+
+    say: {
+        permission: 'operator',
+        usage: 'say <text>',
+        description: 'Send a chat line or server command',
+        run(ctx, args) {
+            if (!args.length) return ctx.reply(`Usage: ${ctx.prefix}${this.usage}`)
+            ctx.owner.chat(args.join(' '))
+        }
+    },
+
+    come: {
+        permission: 'operator',
+        usage: 'come',
+        description: 'Walk to where you are standing',
+        async run(ctx) {
+            const player = ctx.owner.bot.players[ctx.username]
+            if (!player || !player.entity) return ctx.reply('I cannot see you')
+            ctx.reply('On my way')
+            const arrived = await ctx.owner.walkTo(player.entity.position.clone())
+            ctx.reply(arrived ? 'Arrived' : 'Could not reach you')
+        }
+    },
+
+    restart: {
+        permission: 'operator',
+        usage: 'restart',
+        description: 'Disconnect and reconnect the bot',
+        run(ctx) {
+            // Skip the chat queue: the reconnect clears it before a queued reply goes out
+            if (ctx.owner.bot) ctx.owner.bot.whisper(ctx.username, 'Restarting...')
+            ctx.owner.forceReconnect()
+        }
+    },
+
+    commanders: {
+        permission: 'owner',
+        usage: 'commanders list|reload|add <player> <role>|remove <player>',
+        description: 'Manage who may command the fleet',
+        run(ctx, args) {
+            const commanders = ctx.owner.commanders
+            const action = (args[0] || '').toLowerCase()
+
+            if (action === 'list') {
+                const entries = commanders.list().map(({ name, role }) => `${name} (${role})`)
+                return ctx.reply(entries.length ? `Commanders: ${entries.join(', ')}` : 'No commanders configured')
+            }
+            if (action === 'reload') {
+                return ctx.reply(`Reloaded ${commanders.reload()} commanders`)
+            }
+            if (action === 'add' && args[1] && args[2]) {
+                const role = args[2].toLowerCase()
+                if (!isRole(role)) {
+                    return ctx.reply(`Unknown role '${args[2]}' (${Object.keys(ROLE_LEVELS).join(', ')})`)
+                }
+                commanders.set(args[1], role)
+                ctx.owner.log(`👑 ${ctx.username} set ${args[1]} as ${role}`)
+                return ctx.reply(`${args[1]} is now ${role}`)
+            }
+            if (action === 'remove' && args[1]) {
+                if (!commanders.remove(args[1])) return ctx.reply(`${args[1]} is not a commander`)
+                ctx.owner.log(`👑 ${ctx.username} removed ${args[1]} from commanders`)
+                return ctx.reply(`${args[1]} removed`)
+            }
+            ctx.reply(`Usage: ${ctx.prefix}${this.usage}`)
+        }
+    }
+}
+
+/**
+ * Split "!@killer kill start" into { target: 'killer', name: 'kill', args: ['start'] }.
+ * Returns null when the message is not a command. An optional @target picks
+ * one bot out of the fleet when a command is sent in public chat.
+ */
+function parseCommand(message, prefix = DEFAULT_PREFIX) {
+    const text = message.trim()
+    if (!text.startsWith(prefix)) return null
+
+    const words = text.slice(prefix.length).split(/\s+/).filter(Boolean)
+    let target = null
+    if (words[0] && words[0].startsWith('@')) {
+        target = words.shift().slice(1).toLowerCase()
+    }
+    if (!words.length) return null
+
+    return { target, name: words.shift().toLowerCase(), args: words }
+}
+
+async function runCommand(owner, username, message, { prefix = DEFAULT_PREFIX } = {}) {
+    const parsed = parseCommand(message, prefix)
+    if (!parsed || !owner.hasPermission(username, 'viewer')) return false
+
+    // Commands in public chat reach every bot; @name narrows them down to one
+    if (parsed.target && parsed.target !== owner.name.toLowerCase() &&
+        parsed.target !== owner.config.username.toLowerCase()) {
+        return false
+    }
+
+    const ctx = {
+        owner,
+        username,
+        prefix,
+        reply: (text) => owner.whisper(username, text)
+    }
+
+    const command = COMMANDS[parsed.name]
+    if (!command) {
+        ctx.reply(`Unknown command '${parsed.name}', try ${prefix}help`)
+        return true
+    }
+    if (!owner.hasPermission(username, command.permission)) {
+        owner.log(`🚫 ${username} is not allowed to use ${parsed.name}`)
+        ctx.reply(`'${parsed.name}' needs the ${command.permission} role`)
+        return true
+    }
+
+    owner.log(`📢 Command from ${username}: ${message}`)
+
+    try {
+        await command.run(ctx, parsed.args)
+    } catch (err) {
+        owner.log(`❌ Command '${parsed.name}' failed: ${err.message}`, 'error')
+        ctx.reply(`Command failed: ${err.message}`)
+    }
+    return true
+}
+
+module.exports = { COMMANDS, DEFAULT_PREFIX, parseCommand, runCommand }
@@ -0,0 +1,198 @@
+const fs = require('fs')
+const path = require('path')
+
+const DEFAULT_CONFIG_PATH = 'fleet.json'
+const DEFAULT_COMMANDERS_PATH = 'commanders.json'
+const DEFAULT_METRICS_PATH = 'metrics.json'
+const DEFAULT_TASKS_PATH = 'tasks.json'
+
+const BOT_DEFAULTS = {
+    port: 25565,
+    restartInterval: 30 * 60 * 1000,
+    reconnectDelay: 10 * 1000,
+    maxReconnectDelay: 120 * 1000
+}
+
+const AUTH_MODES = ['offline', 'microsoft']
+
+const TIMING_FIELDS = ['restartInterval', 'reconnectDelay', 'maxReconnectDelay']
+
+// Fleet-wide gaps between bots reconnecting / restarting
+const STAGGER_FIELDS = ['reconnectStagger', 'restartStagger']
+
+// Fleet-wide settings blocks, checked in detail by the module that reads them
+const SECTION_FIELDS = ['logging', 'notifications', 'chatRelay']
+
+// Replace ${VAR} placeholders with values from process.env so secrets can stay in .env
+function interpolateEnv(value, errors, where) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{(\w+)\}/g, (match, name) => {
+            if (process.env[name] === undefined) {
+                errors.push(`${where}: environment variable ${name} is not set`)
+                return ''
+            }
+            return process.env[name]
+        })
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, i) => interpolateEnv(item, errors, `${where}[${i}]`))
+    }
+    if (value && typeof value === 'object') {
+        const result = {}
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = interpolateEnv(item, errors, `${where}.${key}`)
+        }
+        return result
+    }
+    return value
+}
+
+function validateBot(bot, where, roles, errors) {
+    if (!bot.name || typeof bot.name !== 'string') {
+        errors.push(`${where}: "name" is required`)
+    }
+    if (!Array.isArray(bot.roles) || bot.roles.length === 0) {
+        errors.push(`${where}: "role" or "roles" is required`)
+    } else {
+        bot.roles.forEach(role => {
+            if (!roles.includes(role)) {
+                errors.push(`${where}: unknown role "${role}" (expected one of: ${roles.join(', ')})`)
+            }
+        })
+    }
+    if (!bot.username || typeof bot.username !== 'string') {
+        errors.push(`${where}: "username" is required`)
+    }
+    if (!bot.host || typeof bot.host !== 'string') {
+        errors.push(`${where}: "host" is required`)
+    }
+    if (!Number.isInteger(bot.port) || bot.port < 1 || bot.port > 65535) {
+        errors.push(`${where}: "port" must be an integer between 1 and 65535`)
+    }
+    if (bot.auth !== undefined && !AUTH_MODES.includes(bot.auth)) {
+        errors.push(`${where}: "auth" must be one of: ${AUTH_MODES.join(', ')}`)
+    }
+    if (bot.version !== undefined && typeof bot.version !== 'string') {
+        errors.push(`${where}: "version" must be a string like "1.20.1"`)
+    }
+    TIMING_FIELDS.forEach(field => {
+        if (!Number.isFinite(bot[field]) || bot[field] <= 0) {
+            errors.push(`${where}: "${field}" must be a positive number of milliseconds`)
+        }
+    })
+}
+
+// A bot may run one role ("role": "killer") or several ("roles": ["killer", "idle"])
+function mergeBot(entry, defaults) {
+    return {
+        ...defaults,
+        ...entry,
+        roles: entry.roles || (entry.role ? [entry.role] : [])
+    }
+}
+
+/**
+ * Options for a bot added while the fleet is running, merged over the
+ * config's defaults and validated like the ones in the file. Throws on the
+ * first problems found.
+ */
+function createBotOptions(fleetConfig, entry, { roles }) {
+    const bot = mergeBot(entry, { ...BOT_DEFAULTS, ...(fleetConfig.defaults || {}) })
+    const errors = []
+    validateBot(bot, bot.name || 'bot', roles, errors)
+    if (errors.length) throw new Error(errors.join('; '))
+    return bot
+}
+
+/**
+ * Load and validate the fleet definition file.
+ * Every entry in `bots` is merged over `defaults`, so shared values like host
+ * and version only need to be written once. Throws a single Error listing
+ * every problem found.
+ */
+function loadFleetConfig(filePath, { roles }) {
+    const resolved = path.resolve(filePath || process.env.FLEET_CONFIG || DEFAULT_CONFIG_PATH)
+
+    let raw
+    try {
+        raw = JSON.parse(fs.readFileSync(resolved, 'utf8'))
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            throw new Error(`Fleet config not found at ${resolved} (copy fleet.example.json to get started)`)
+        }
+        throw new Error(`Fleet config ${resolved} is not valid JSON: ${err.message}`)
+    }
+
+    const errors = []
+    const config = interpolateEnv(raw, errors, 'config')
+
+    if (!Array.isArray(config.bots) || config.bots.length === 0) {
+        errors.push('config: "bots" must be a non-empty list')
+    }
+
+    if (config.commandersFile !== undefined && typeof config.commandersFile !== 'string') {
+        errors.push('config: "commandersFile" must be a path')
+    }
+    if (config.metricsFile !== undefined && typeof config.metricsFile !== 'string') {
+        errors.push('config: "metricsFile" must be a path')
+    }
+    if (config.tasksFile !== undefined && typeof config.tasksFile !== 'string') {
+        errors.push('config: "tasksFile" must be a path')
+    }
+    if (config.console !== undefined && typeof config.console !== 'boolean') {
+        errors.push('config: "console" must be true or false')
+    }
+
+    STAGGER_FIELDS.forEach(field => {
+        if (config[field] !== undefined && (!Number.isFinite(config[field]) || config[field] < 0)) {
+            errors.push(`config: "${field}" must be a number of milliseconds (0 to disable)`)
+        }
+    })
+
+    SECTION_FIELDS.forEach(field => {
+        if (config[field] !== undefined && (!config[field] || typeof config[field] !== 'object' || Array.isArray(config[field]))) {
+            errors.push(`config: "${field}" must be an object`)
+        }
+    })
+
+    if (config.api !== undefined) {
+        const api = config.api || {}
+        if (api.port !== undefined && (!Number.isInteger(api.port) || api.port < 1 || api.port > 65535)) {
+            errors.push('api: "port" must be an integer between 1 and 65535')
+        }
+        if (api.token !== undefined && typeof api.token !== 'string') {
+            errors.push('api: "token" must be a string')
+        }
+    }
+
+    const defaults = { ...BOT_DEFAULTS, ...(config.defaults || {}) }
+    const bots = (config.bots || []).map(entry => mergeBot(entry, defaults))
+    const seen = new Set()
+
+    bots.forEach((bot, index) => {
+        validateBot(bot, `bots[${index}]${bot.name ? ` (${bot.name})` : ''}`, roles, errors)
+        if (bot.name) {
+            if (seen.has(bot.name)) errors.push(`bots[${index}]: duplicate name "${bot.name}"`)
+            seen.add(bot.name)
+        }
+    })
+
+    if (errors.length) {
+        throw new Error(`Invalid fleet config ${resolved}:\n  - ${errors.join('\n  - ')}`)
+    }
+
+    // Relative paths in the config are relative to the config file itself
+    const commandersFile = path.resolve(path.dirname(resolved), config.commandersFile || DEFAULT_COMMANDERS_PATH)
+    const metricsFile = path.resolve(path.dirname(resolved), config.metricsFile || DEFAULT_METRICS_PATH)
+    const tasksFile = path.resolve(path.dirname(resolved), config.tasksFile || DEFAULT_TASKS_PATH)
+    const logging = config.logging && config.logging.dir
+        ? { ...config.logging, dir: path.resolve(path.dirname(resolved), config.logging.dir) }
+        : config.logging
+    const chatRelay = config.chatRelay && config.chatRelay.file
+        ? { ...config.chatRelay, file: path.resolve(path.dirname(resolved), config.chatRelay.file) }
+        : config.chatRelay
+
+    return { ...config, path: resolved, commandersFile, metricsFile, tasksFile, logging, chatRelay, bots }
+}
+
+module.exports = { loadFleetConfig, createBotOptions }
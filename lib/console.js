@@ -0,0 +1,210 @@
+const readline = require('readline')
+
+/**
+ * Operator console on stdin. Each entry has a usage line for help, which of
+ * its arguments complete to bot names (`bots`, 'all' adds "all") and a
+ * run(ctx, args) handler; ctx.print() writes to the terminal.
+ */
+const CONSOLE_COMMANDS = {
+    help: {
+        usage: 'help',
+        description: 'List console commands',
+        run(ctx) {
+            Object.values(CONSOLE_COMMANDS).forEach(command => ctx.print(`  ${command.usage.padEnd(46)} ${command.description}`))
+        }
+    },
+
+    list: {
+        usage: 'list',
+        description: 'Show every bot and whether it is online',
+        run(ctx) {
+            const bots = Object.values(ctx.bots)
+            if (!bots.length) return ctx.print('No bots')
+            bots.forEach(bot => {
+                const status = bot.getStatus()
+                const state = status.online
+                    ? `online ${status.uptime}s${status.state.isKilling ? ', killing' : ''}${status.paused.length ? `, paused (${status.paused.join(', ')})` : ''}`
+                    : status.state.permanentFailure ? `stopped: ${status.state.permanentFailure}` : 'offline'
+                ctx.print(`  ${bot.name.padEnd(16)} ${status.username.padEnd(16)} ${status.roles.join(',').padEnd(24)} ${state}`)
+            })
+        }
+    },
+
+    status: {
+        usage: 'status <bot>',
+        description: 'Show the full status of a bot',
+        bots: true,
+        run(ctx, args) {
+            ctx.print(JSON.stringify(ctx.getBot(args[0]).getStatus(), null, 2))
+        }
+    },
+
+    chat: {
+        usage: 'chat <bot|all> <message>',
+        description: 'Send a chat line or server command',
+        bots: 'all',
+        run(ctx, args) {
+            if (args.length < 2) throw new Error(`Usage: ${this.usage}`)
+            const message = args.slice(1).join(' ')
+            ctx.getBots(args[0]).forEach(bot => {
+                ctx.print(`  ${bot.name}: ${bot.chat(message) ? 'queued' : 'not sent (offline or chat queue full)'}`)
+            })
+        }
+    },
+
+    kill: {
+        usage: 'kill <bot|all> start|stop',
+        description: 'Start or stop the killer role',
+        bots: 'all',
+        complete: ['start', 'stop'],
+        run(ctx, args) {
+            const action = (args[1] || '').toLowerCase()
+            if (!['start', 'stop'].includes(action)) throw new Error(`Usage: ${this.usage}`)
+            ctx.getBots(args[0]).forEach(bot => {
+                const ok = action === 'start' ? bot.startKilling() : bot.stopKilling()
+                ctx.print(`  ${bot.name}: ${ok ? `killing ${action === 'start' ? 'started' : 'stopped'}` : 'no active killer role'}`)
+            })
+        }
+    },
+
+    reconnect: {
+        usage: 'reconnect <bot|all>',
+        description: 'Drop the connection and reconnect',
+        bots: 'all',
+        run(ctx, args) {
+            ctx.getBots(args[0]).forEach(bot => {
+                if (bot.reconnectPending) return ctx.print(`  ${bot.name}: already waiting to reconnect`)
+                // Also brings back a bot that gave up
+                bot.state.permanentFailure = null
+                bot.scheduleReconnect({ reason: 'console', delay: 1000 })
+                ctx.print(`  ${bot.name}: reconnecting`)
+            })
+        }
+    },
+
+    inventory: {
+        usage: 'inventory <bot>',
+        description: 'List what a bot is carrying',
+        bots: true,
+        run(ctx, args) {
+            const bot = ctx.getBot(args[0])
+            if (!bot.bot || !bot.connectedAt) throw new Error(`${bot.name} is offline`)
+
+            const inventory = bot.bot.inventory
+            const counts = {}
+            inventory.items().forEach(item => {
+                counts[item.name] = (counts[item.name] || 0) + item.count
+            })
+            const held = bot.bot.heldItem
+            ctx.print(`  Holding ${held ? `${held.name} x${held.count}` : 'nothing'}, ${inventory.emptySlotCount()} free slots`)
+            Object.entries(counts)
+                .sort(([, a], [, b]) => b - a)
+                .forEach(([name, count]) => ctx.print(`  ${name.padEnd(32)} ${count}`))
+        }
+    },
+
+    add: {
+        usage: 'add <name> <username> <role,...> [password]',
+        description: 'Start another bot with the config defaults (not saved)',
+        run(ctx, args) {
+            const [name, username, roles, password] = args
+            if (!roles) throw new Error(`Usage: ${this.usage}`)
+            if (ctx.bots[name]) throw new Error(`There already is a bot named ${name}`)
+
+            ctx.bots[name] = ctx.createBot({ name, username, roles: roles.split(','), ...(password ? { password } : {}) })
+            ctx.print(`  Added ${name}; add it to the fleet config to keep it after a restart`)
+        }
+    },
+
+    remove: {
+        usage: 'remove <bot>',
+        description: 'Disconnect a bot and drop it from the fleet (not saved)',
+        bots: true,
+        run(ctx, args) {
+            const bot = ctx.getBot(args[0])
+            bot.shutdown()
+            delete ctx.bots[bot.name]
+            ctx.print(`  Removed ${bot.name}`)
+        }
+    },
+
+    quit: {
+        usage: 'quit',
+        description: 'Shut down every bot and exit',
+        run(ctx) {
+            ctx.shutdown('quit command')
+        }
+    }
+}
+
+/**
+ * Start the operator console.
+ *
+ * @param bots    the fleet's bots by name; add/remove change it in place so the
+ *                API sees the same fleet
+ * @param options { createBot(entry) -> Bot, shutdown(why), logger }
+ */
+function startConsole(bots, { createBot, shutdown, logger }) {
+    const ctx = {
+        bots,
+        createBot,
+        shutdown,
+        print: (text) => console.log(text),
+        getBot(name) {
+            const bot = name && bots[name]
+            if (!bot) throw new Error(name ? `No bot named ${name} (try list)` : 'Which bot?')
+            return bot
+        },
+        getBots(name) {
+            return name === 'all' ? Object.values(bots) : [this.getBot(name)]
+        }
+    }
+
+    const completer = (line) => {
+        const words = line.split(/\s+/)
+        const current = words[words.length - 1]
+        let options = []
+
+        if (words.length === 1) {
+            options = Object.keys(CONSOLE_COMMANDS)
+        } else {
+            const command = CONSOLE_COMMANDS[words[0].toLowerCase()]
+            if (command && words.length === 2 && command.bots) {
+                options = [...Object.keys(bots), ...(command.bots === 'all' ? ['all'] : [])]
+            } else if (command && words.length === 3 && command.complete) {
+                options = command.complete
+            }
+        }
+        const hits = options.filter(option => option.startsWith(current))
+        return [hits.length ? hits : options, current]
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, completer, prompt: '> ' })
+
+    rl.on('line', async (line) => {
+        const [name, ...args] = line.trim().split(/\s+/)
+        if (name) {
+            const command = CONSOLE_COMMANDS[name.toLowerCase()]
+            if (!command) {
+                ctx.print(`Unknown command '${name}', try help`)
+            } else {
+                logger.debug(`⌨️ Console: ${line.trim()}`)
+                try {
+                    await command.run(ctx, args)
+                } catch (err) {
+                    ctx.print(err.message)
+                }
+            }
+        }
+        rl.prompt()
+    })
+
+    // Ctrl+C in the console means the same as SIGINT
+    rl.on('SIGINT', () => shutdown('SIGINT'))
+
+    logger.info('⌨️ Console ready, type help for commands')
+    rl.prompt()
+    return rl
+}
+
+module.exports = { startConsole, CONSOLE_COMMANDS }
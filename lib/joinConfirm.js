@@ -0,0 +1,144 @@
+const SIGNALS = ['dimension', 'scoreboard']
+
+// "[+] Name" or "[+] [ANY RANK] Name", whatever the rank is called
+const DEFAULT_SUCCESS = ['^\\[\\+\\] (?:\\[[^\\]]+\\] )*{username}\\b']
+
+const DEFAULT_FAILURE = [
+    { pattern: 'server is (?:currently )?full', reason: 'full' },
+    { pattern: 'you are banned|you have been banned', reason: 'banned' },
+    { pattern: 'not whitelisted|not on the whitelist', reason: 'whitelist' },
+    { pattern: 'already (?:connected|online|playing)', reason: 'duplicate' },
+    { pattern: 'could not connect|unable to connect|server is (?:offline|restarting)', reason: 'unavailable' }
+]
+
+const DEFAULTS = {
+    success: DEFAULT_SUCCESS,
+    failure: DEFAULT_FAILURE,
+    signals: [],
+    scoreboardTitle: null,
+    timeout: 15000
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Patterns are regex strings matched against the plain chat text, or
+ * { pattern, on: 'json' } to match the raw JSON chat component instead.
+ * "{username}" is replaced with the bot's username.
+ */
+function compilePattern(entry, username) {
+    const spec = typeof entry === 'string' ? { pattern: entry } : entry
+    const source = spec.pattern.replace(/\{username\}/g, escapeRegExp(username))
+    return {
+        regex: new RegExp(source, 'i'),
+        on: spec.on || 'text',
+        reason: spec.reason || 'rejected'
+    }
+}
+
+function matches(compiled, jsonMsg) {
+    const subject = compiled.on === 'json' ? JSON.stringify(jsonMsg.json) : jsonMsg.toString()
+    return compiled.regex.test(subject)
+}
+
+/**
+ * Watches for proof that the bot made it onto the server after navigation:
+ * a success chat line, a dimension change or a matching scoreboard title.
+ * A failure line ("server is full", "you are banned", ...) rejects straight
+ * away with err.reason set instead of waiting for the timeout.
+ */
+class JoinConfirmation {
+    constructor(owner, options = {}) {
+        this.owner = owner
+        this.options = { ...DEFAULTS, ...options }
+
+        const unknown = this.options.signals.filter(signal => !SIGNALS.includes(signal))
+        if (unknown.length) {
+            throw new Error(`Unknown join signal ${unknown.join(', ')} (expected: ${SIGNALS.join(', ')})`)
+        }
+        if (this.options.signals.includes('scoreboard') && !this.options.scoreboardTitle) {
+            throw new Error('join.scoreboardTitle is required for the scoreboard signal')
+        }
+
+        // Compile once up front so a bad regex fails at startup
+        const username = owner.config.username
+        this.success = this.options.success.map(entry => compilePattern(entry, username))
+        this.failure = this.options.failure.map(entry => compilePattern(entry, username))
+        this.scoreboardTitle = this.options.scoreboardTitle && new RegExp(this.options.scoreboardTitle, 'i')
+    }
+
+    /**
+     * Start listening right away so messages that arrive during navigation
+     * still count. The timeout only starts once wait() is called.
+     */
+    start() {
+        const bot = this.owner.bot
+        const listeners = []
+        let outcome = null
+        let settle = null
+        let timeout = null
+
+        const cleanup = () => {
+            if (timeout) {
+                clearTimeout(timeout)
+                this.owner.timeouts.delete(timeout)
+            }
+            listeners.forEach(([event, listener]) => bot.removeListener(event, listener))
+            listeners.length = 0
+        }
+
+        const finish = (result) => {
+            if (outcome) return
+            outcome = result
+            cleanup()
+            if (settle) settle(result)
+        }
+
+        const listen = (event, listener) => {
+            bot.on(event, listener)
+            listeners.push([event, listener])
+        }
+
+        listen('message', (jsonMsg, position) => {
+            // Only server messages count; players typing "server is full" or "[+] <bot>" can't refuse or fake a join
+            if (position === 'chat') return
+            const failure = this.failure.find(compiled => matches(compiled, jsonMsg))
+            if (failure) {
+                return finish({ error: Object.assign(new Error(`Join refused: ${jsonMsg.toString()}`), { reason: failure.reason }) })
+            }
+            if (this.success.some(compiled => matches(compiled, jsonMsg))) {
+                finish({ via: 'chat' })
+            }
+        })
+
+        if (this.options.signals.includes('dimension')) {
+            listen('respawn', () => finish({ via: 'dimension change' }))
+        }
+
+        if (this.options.signals.includes('scoreboard')) {
+            const onScoreboard = (scoreboard) => {
+                const title = String(scoreboard.title).replace(/§./g, '')
+                if (this.scoreboardTitle.test(title)) finish({ via: `scoreboard "${title}"` })
+            }
+            listen('scoreboardCreated', onScoreboard)
+            listen('scoreboardTitleChanged', onScoreboard)
+        }
+
+        return {
+            wait: () => new Promise((resolve, reject) => {
+                settle = (result) => result.error ? reject(result.error) : resolve(result.via)
+                if (outcome) return settle(outcome)
+
+                timeout = setTimeout(() => {
+                    finish({ error: Object.assign(new Error('Join timeout'), { reason: 'timeout' }) })
+                }, this.options.timeout)
+                this.owner.timeouts.add(timeout)
+            }),
+            cancel: cleanup
+        }
+    }
+}
+
+module.exports = { JoinConfirmation }
@@ -0,0 +1,168 @@
+const fs = require('fs')
+const path = require('path')
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 }
+const FORMATS = ['text', 'json']
+
+const DEFAULTS = {
+    level: 'info',
+    format: 'text',
+    console: true,
+    dir: null,
+    maxSize: 5 * 1024 * 1024,
+    maxFiles: 5,
+    chat: null
+}
+
+const CHAT_DEFAULTS = {
+    include: '.',
+    exclude: null,
+    positions: ['chat', 'system']
+}
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0')
+}
+
+// Local time with the date, so last night's log lines can be told apart
+function formatTime(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`
+}
+
+function formatText({ time, level, bot, message, ...fields }) {
+    const extra = Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => ` ${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join('')
+    return `${formatTime(time)} ${level.toUpperCase().padEnd(5)} [${bot || 'fleet'}] ${message}${extra}`
+}
+
+/**
+ * Fleet-wide logger. Every bot gets a child with its own context fields
+ * ({ bot: name }); lines go to the console and, with `dir` set, to one file
+ * per bot (fleet.log for everything else) that rotates at `maxSize`, keeping
+ * `maxFiles` old files (killer.1.log is the newest).
+ *
+ * `chat` mirrors server chat into the log: { include, exclude, positions }
+ * where include/exclude are regexes over the plain text and positions picks
+ * player chat, system messages and/or the action bar ("game_info").
+ */
+class Logger {
+    constructor(options = {}, context = {}, root = null) {
+        this.context = context
+        this.root = root || this
+        if (!root) {
+            this.files = new Map() // path -> current size
+            this.failed = new Set()
+            this.configure(options)
+        }
+    }
+
+    configure(options = {}) {
+        const config = { ...DEFAULTS, ...options }
+        if (!LEVELS[config.level]) {
+            throw new Error(`Unknown log level "${config.level}" (expected one of: ${Object.keys(LEVELS).join(', ')})`)
+        }
+        if (!FORMATS.includes(config.format)) {
+            throw new Error(`Unknown log format "${config.format}" (expected one of: ${FORMATS.join(', ')})`)
+        }
+        for (const field of ['maxSize', 'maxFiles']) {
+            if (!Number.isInteger(config[field]) || config[field] < 1) {
+                throw new Error(`logging.${field} must be a positive integer`)
+            }
+        }
+
+        if (config.chat) {
+            const chat = { ...CHAT_DEFAULTS, ...config.chat }
+            config.chat = {
+                include: new RegExp(chat.include, 'i'),
+                exclude: chat.exclude ? new RegExp(chat.exclude, 'i') : null,
+                positions: chat.positions
+            }
+        }
+        if (config.dir) fs.mkdirSync(config.dir, { recursive: true })
+
+        this.config = config
+        this.files.clear()
+        this.failed.clear()
+    }
+
+    child(context) {
+        return new Logger(null, { ...this.context, ...context }, this.root)
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields)
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields)
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields)
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields)
+    }
+
+    log(level, message, fields = {}) {
+        const config = this.root.config
+        if (LEVELS[level] < LEVELS[config.level]) return
+
+        const entry = { time: new Date(), level, ...this.context, ...fields, message }
+        const line = config.format === 'json'
+            ? JSON.stringify({ ...entry, time: entry.time.toISOString() })
+            : formatText(entry)
+
+        if (config.console) {
+            if (LEVELS[level] >= LEVELS.warn) console.error(line)
+            else console.log(line)
+        }
+        if (config.dir) this.root.write(this.context.bot || 'fleet', line)
+    }
+
+    mirrorsChat(text, position) {
+        const chat = this.root.config.chat
+        if (!chat || !chat.positions.includes(position)) return false
+        return chat.include.test(text) && !(chat.exclude && chat.exclude.test(text))
+    }
+
+    write(name, line) {
+        const { dir, maxSize } = this.config
+        const file = path.join(dir, `${name}.log`)
+        const data = line + '\n'
+
+        try {
+            if (!this.files.has(file)) {
+                this.files.set(file, fs.existsSync(file) ? fs.statSync(file).size : 0)
+            }
+            if (this.files.get(file) + Buffer.byteLength(data) > maxSize) {
+                this.rotate(dir, name)
+                this.files.set(file, 0)
+            }
+            fs.appendFileSync(file, data)
+            this.files.set(file, this.files.get(file) + Buffer.byteLength(data))
+        } catch (err) {
+            // Never let a full disk take the fleet down, just say so once per file
+            if (!this.failed.has(file)) console.error(`❌ Cannot write log file ${file}: ${err.message}`)
+            this.failed.add(file)
+            this.files.delete(file)
+        }
+    }
+
+    // name.log -> name.1.log -> name.2.log ..., dropping the oldest
+    rotate(dir, name) {
+        const { maxFiles } = this.config
+        const fileAt = (index) => path.join(dir, index ? `${name}.${index}.log` : `${name}.log`)
+
+        if (fs.existsSync(fileAt(maxFiles))) fs.unlinkSync(fileAt(maxFiles))
+        for (let index = maxFiles - 1; index >= 0; index--) {
+            if (fs.existsSync(fileAt(index))) fs.renameSync(fileAt(index), fileAt(index + 1))
+        }
+    }
+}
+
+module.exports = { Logger, LEVELS }
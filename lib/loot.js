@@ -0,0 +1,189 @@
+const CONTAINERS = ['chest', 'trapped_chest', 'barrel']
+
+const ACTIONS = ['chest', 'sell', 'drop', 'none']
+
+const DEFAULTS = {
+    pickup: true,
+    pickupRadius: 4,
+    farmRadius: 3,
+    freeSlots: 2,
+    onFull: 'drop',
+    chestRange: 4,
+    keep: ['sword', 'axe'],
+    sellCommands: ['/sell all'],
+    junk: ['rotten_flesh', 'bone', 'arrow', 'string', 'spider_eye', 'gunpowder'],
+    overflowCooldown: 30 * 1000
+}
+
+// Dropped items vanish after this long
+const ITEM_DESPAWN = 5 * 60 * 1000
+
+function matchesAny(name, patterns) {
+    return patterns.some(pattern => name.includes(pattern))
+}
+
+/**
+ * Picks up drops around the killer without leaving the farm spot and deals
+ * with a full inventory by depositing into a nearby chest, running sell
+ * commands or dropping junk.
+ */
+class LootCollector {
+    constructor(owner, options = {}) {
+        this.owner = owner
+        this.options = { ...DEFAULTS, ...options }
+        if (!ACTIONS.includes(this.options.onFull)) {
+            throw new Error(`Unknown loot onFull action "${this.options.onFull}" (expected one of: ${ACTIONS.join(', ')})`)
+        }
+        this.anchor = null
+        this.lastOverflowAt = 0
+        this.junkDroppedAt = 0
+        this.busy = false
+    }
+
+    get bot() {
+        return this.owner.bot
+    }
+
+    log(message, level) {
+        this.owner.log(message, level)
+    }
+
+    setAnchor(position) {
+        this.anchor = position.clone()
+    }
+
+    isFull() {
+        return this.bot.inventory.emptySlotCount() <= this.options.freeSlots
+    }
+
+    findDrops() {
+        const position = this.bot.entity.position
+        return Object.values(this.bot.entities).filter(entity => {
+            if (!entity.position || entity === this.bot.entity) return false
+            if (entity.name !== 'item' && entity.name !== 'Item') return false
+            if (position.distanceTo(entity.position) > this.options.pickupRadius) return false
+            if (this.anchor && this.anchor.distanceTo(entity.position) > this.options.farmRadius) return false
+
+            const item = this.getDroppedItem(entity)
+            return !item || !this.skipsJunk() || !matchesAny(item.name, this.options.junk)
+        })
+    }
+
+    // Junk is only left on the ground when we throw it away ourselves: always
+    // with onFull "drop", otherwise until what a chest fallback dropped is gone.
+    // Chests and sell commands want it picked up.
+    skipsJunk() {
+        return this.options.onFull === 'drop' || Date.now() - this.junkDroppedAt < ITEM_DESPAWN
+    }
+
+    getDroppedItem(entity) {
+        try {
+            return entity.getDroppedItem()
+        } catch (err) {
+            return null
+        }
+    }
+
+    // Called from the killing loop whenever there is nothing to attack
+    async tick() {
+        if (this.busy || !this.bot || !this.bot.entity) return
+        this.busy = true
+
+        try {
+            if (this.isFull() && Date.now() - this.lastOverflowAt > this.options.overflowCooldown) {
+                this.lastOverflowAt = Date.now()
+                await this.handleOverflow()
+            }
+
+            if (this.options.pickup && !this.isFull()) {
+                await this.collectDrops()
+            }
+        } catch (err) {
+            this.log(`⚠️ Loot error: ${err.message}`, 'warn')
+        } finally {
+            this.busy = false
+        }
+    }
+
+    async collectDrops() {
+        const drops = this.findDrops()
+        if (!drops.length) return
+
+        for (const drop of drops) {
+            if (!this.bot || !this.bot.entities[drop.id]) continue
+            await this.owner.walkTo(drop.position, { range: 0.5, timeout: 3000 })
+        }
+
+        // Step back onto the farm spot so the killer keeps its reach
+        if (this.anchor && this.bot) {
+            await this.owner.walkTo(this.anchor, { range: 0.5, timeout: 3000 })
+        }
+    }
+
+    async handleOverflow() {
+        const free = this.bot.inventory.emptySlotCount()
+        this.log(`🎒 Inventory nearly full (${free} free slots), running '${this.options.onFull}'`)
+
+        switch (this.options.onFull) {
+            case 'chest':
+                return this.depositToChest()
+            case 'sell':
+                return this.sell()
+            case 'drop':
+                return this.dropJunk()
+        }
+    }
+
+    async depositToChest() {
+        const ids = CONTAINERS
+            .map(name => this.bot.registry.blocksByName[name])
+            .filter(Boolean)
+            .map(block => block.id)
+
+        const block = this.bot.findBlock({ matching: ids, maxDistance: this.options.chestRange })
+        if (!block) {
+            this.log(`⚠️ No chest within ${this.options.chestRange} blocks, dropping junk instead`, 'warn')
+            return this.dropJunk()
+        }
+
+        const container = await this.bot.openContainer(block)
+        let deposited = 0
+        try {
+            for (const item of this.bot.inventory.items()) {
+                if (matchesAny(item.name, this.options.keep)) continue
+                try {
+                    await container.deposit(item.type, item.metadata, item.count, item.nbt)
+                    deposited += item.count
+                } catch (err) {
+                    this.log(`⚠️ Chest is full, stopped depositing: ${err.message}`, 'warn')
+                    break
+                }
+            }
+        } finally {
+            container.close()
+        }
+
+        this.log(`📦 Deposited ${deposited} items into ${block.name} at ${block.position}`)
+    }
+
+    async sell() {
+        for (const command of this.options.sellCommands) {
+            this.owner.chat(command)
+            this.log(`💰 Ran ${command}`)
+            await this.owner.delay(1000)
+        }
+    }
+
+    async dropJunk() {
+        let dropped = 0
+        for (const item of this.bot.inventory.items()) {
+            if (!matchesAny(item.name, this.options.junk) || matchesAny(item.name, this.options.keep)) continue
+            await this.bot.tossStack(item)
+            dropped += item.count
+        }
+        if (dropped) this.junkDroppedAt = Date.now()
+        this.log(`🗑️ Dropped ${dropped} junk items`)
+    }
+}
+
+module.exports = { LootCollector }
@@ -0,0 +1,205 @@
+const fs = require('fs')
+
+const DEFAULT_SAVE_INTERVAL = 60 * 1000
+
+function emptyCounters() {
+    return {
+        attacks: 0,
+        hits: 0,
+        kills: {}, // mob name -> count
+        xp: 0,
+        itemsPickedUp: 0,
+        sessions: { count: 0, seconds: 0, longest: 0 },
+        disconnects: {}, // reconnect reason -> count
+        reconnecting: { count: 0, seconds: 0 }
+    }
+}
+
+// Fill in counters added since the file was written
+function withDefaults(data) {
+    const empty = emptyCounters()
+    return {
+        ...empty,
+        ...data,
+        sessions: { ...empty.sessions, ...data.sessions },
+        reconnecting: { ...empty.reconnecting, ...data.reconnecting }
+    }
+}
+
+/**
+ * Lifetime farming numbers per bot, kept in a JSON file so they survive
+ * restarts. One instance is shared by the fleet and saved every
+ * `saveInterval` when something changed; bots record through forBot().
+ */
+class MetricsStore {
+    constructor(filePath, { saveInterval = DEFAULT_SAVE_INTERVAL, logger } = {}) {
+        this.filePath = filePath
+        this.logger = logger
+        this.bots = {}
+        this.dirty = false
+        this.load()
+
+        this.timer = setInterval(() => this.trySave(), saveInterval)
+        this.timer.unref()
+    }
+
+    load() {
+        let data = {}
+        try {
+            data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw new Error(`Metrics file ${this.filePath} is invalid: ${err.message}`)
+            }
+        }
+
+        this.bots = {}
+        for (const [name, counters] of Object.entries(data.bots || {})) {
+            this.bots[name] = withDefaults(counters)
+        }
+    }
+
+    save() {
+        if (!this.dirty) return
+        // Write then rename so a crash mid-write can't leave half a file
+        const temp = `${this.filePath}.tmp`
+        fs.writeFileSync(temp, JSON.stringify({ savedAt: new Date().toISOString(), bots: this.bots }, null, 4) + '\n')
+        fs.renameSync(temp, this.filePath)
+        this.dirty = false
+    }
+
+    // Losing a minute of counters beats crashing the fleet over a full disk
+    trySave() {
+        try {
+            this.save()
+        } catch (err) {
+            this.logger.error(`❌ Failed to save metrics: ${err.message}`)
+        }
+    }
+
+    close() {
+        clearInterval(this.timer)
+        this.trySave()
+    }
+
+    forBot(name) {
+        if (!this.bots[name]) this.bots[name] = emptyCounters()
+        return new BotMetrics(this, name)
+    }
+}
+
+/**
+ * One bot's view of the store. Also times the current session (spawn to
+ * disconnect) and how long the bot was offline before it came back.
+ */
+class BotMetrics {
+    constructor(store, name) {
+        this.store = store
+        this.name = name
+        this.sessionStartedAt = null
+        this.disconnectedAt = null
+    }
+
+    get data() {
+        return this.store.bots[this.name]
+    }
+
+    changed() {
+        this.store.dirty = true
+    }
+
+    count(key, amount = 1) {
+        this.data[key] += amount
+        this.changed()
+    }
+
+    countKill(mob) {
+        this.data.kills[mob] = (this.data.kills[mob] || 0) + 1
+        this.changed()
+    }
+
+    startSession() {
+        const now = Date.now()
+        if (this.disconnectedAt) {
+            this.data.reconnecting.count++
+            this.data.reconnecting.seconds += Math.round((now - this.disconnectedAt) / 1000)
+            this.disconnectedAt = null
+        }
+        this.sessionStartedAt = now
+        this.data.sessions.count++
+        this.changed()
+    }
+
+    endSession() {
+        if (!this.sessionStartedAt) return
+        const seconds = Math.round((Date.now() - this.sessionStartedAt) / 1000)
+        this.data.sessions.seconds += seconds
+        this.data.sessions.longest = Math.max(this.data.sessions.longest, seconds)
+        this.sessionStartedAt = null
+        this.changed()
+    }
+
+    // Only a connected bot can be disconnected; failed connection attempts don't count
+    countDisconnect(reason) {
+        if (!this.sessionStartedAt) return
+        this.endSession()
+        this.data.disconnects[reason] = (this.data.disconnects[reason] || 0) + 1
+        this.disconnectedAt = Date.now()
+    }
+
+    getStats() {
+        const data = this.data
+        const session = this.sessionStartedAt ? Math.round((Date.now() - this.sessionStartedAt) / 1000) : 0
+        return {
+            ...data,
+            totalKills: Object.values(data.kills).reduce((sum, kills) => sum + kills, 0),
+            hitRate: data.attacks ? Math.round(data.hits / data.attacks * 100) : null,
+            currentSession: session
+        }
+    }
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+function labels(values) {
+    return '{' + Object.entries(values).map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',') + '}'
+}
+
+/**
+ * Prometheus text exposition of every bot's metrics, for GET /metrics.
+ */
+function formatPrometheus(bots) {
+    const families = {}
+    const add = (name, type, help, values, value) => {
+        if (!families[name]) families[name] = { type, help, samples: [] }
+        families[name].samples.push(`${name}${labels(values)} ${value}`)
+    }
+
+    for (const bot of bots) {
+        const stats = bot.metrics.getStats()
+        const label = { bot: bot.name }
+        add('killingbot_online', 'gauge', 'Whether the bot is in game', label, bot.connectedAt ? 1 : 0)
+        add('killingbot_attacks_total', 'counter', 'Attacks swung', label, stats.attacks)
+        add('killingbot_hits_total', 'counter', 'Attacks that damaged the target', label, stats.hits)
+        for (const [mob, kills] of Object.entries(stats.kills)) {
+            add('killingbot_kills_total', 'counter', 'Mobs killed', { ...label, mob }, kills)
+        }
+        add('killingbot_xp_total', 'counter', 'Experience points gained', label, stats.xp)
+        add('killingbot_items_picked_up_total', 'counter', 'Items picked up', label, stats.itemsPickedUp)
+        add('killingbot_sessions_total', 'counter', 'Times the bot spawned in', label, stats.sessions.count)
+        add('killingbot_session_seconds_total', 'counter', 'Time spent connected, finished sessions', label, stats.sessions.seconds)
+        add('killingbot_current_session_seconds', 'gauge', 'Length of the current session', label, stats.currentSession)
+        for (const [reason, count] of Object.entries(stats.disconnects)) {
+            add('killingbot_disconnects_total', 'counter', 'Disconnects by reason', { ...label, reason }, count)
+        }
+        add('killingbot_reconnect_seconds_total', 'counter', 'Time spent offline between sessions', label, stats.reconnecting.seconds)
+    }
+
+    return Object.entries(families)
+        .map(([name, { type, help, samples }]) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples].join('\n'))
+        .join('\n') + '\n'
+}
+
+module.exports = { MetricsStore, formatPrometheus }
@@ -0,0 +1,275 @@
+const loadChat = require('prismarine-chat')
+
+// Built-in navigation scripts. "oneblock-slot14" is the original behaviour:
+// right-click the held selector and click slot 14.
+const PRESETS = {
+    'oneblock-slot14': [
+        { activate: true, attempts: 3 },
+        { wait: 3000 },
+        { click: { slot: 14 } }
+    ],
+    'none': []
+}
+
+const STEP_TYPES = ['hotbar', 'activate', 'click', 'wait', 'chat', 'close']
+
+const DEFAULT_WINDOW_TIMEOUT = 5000
+
+// Text patterns are compiled up front so a bad one fails at config load, not on every join
+function compilePattern(pattern, where) {
+    if (pattern === undefined) return undefined
+    try {
+        return new RegExp(pattern, 'i')
+    } catch (err) {
+        throw new Error(`${where} is not a valid regex: ${err.message}`)
+    }
+}
+
+/**
+ * Resolve the "navigation" config value (preset name or list of steps) into
+ * steps with their patterns compiled, throwing on anything we don't know how
+ * to run.
+ */
+function resolveNavigation(navigation = 'oneblock-slot14') {
+    const steps = typeof navigation === 'string' ? PRESETS[navigation] : navigation
+    if (!steps) {
+        throw new Error(`Unknown navigation preset "${navigation}" (expected one of: ${Object.keys(PRESETS).join(', ')})`)
+    }
+    if (!Array.isArray(steps)) {
+        throw new Error('navigation must be a preset name or a list of steps')
+    }
+
+    return steps.map((step, index) => {
+        const where = `navigation step ${index + 1}`
+        const types = STEP_TYPES.filter(type => step[type] !== undefined)
+        if (types.length !== 1) {
+            throw new Error(`${where} must have exactly one of: ${STEP_TYPES.join(', ')}`)
+        }
+        const { click, opensWindow } = step
+        if (click && click.slot === undefined && !click.name && !click.lore) {
+            throw new Error(`${where}: click needs a "slot", "name" or "lore"`)
+        }
+
+        // Copies, so the presets keep their plain strings
+        const compiled = { ...step }
+        if (step.expectTitle !== undefined) compiled.expectTitle = compilePattern(step.expectTitle, `${where}.expectTitle`)
+        if (click) {
+            compiled.click = {
+                ...click,
+                name: compilePattern(click.name, `${where}.click.name`),
+                lore: compilePattern(click.lore, `${where}.click.lore`)
+            }
+        }
+        if (opensWindow) compiled.opensWindow = { ...opensWindow, title: compilePattern(opensWindow.title, `${where}.opensWindow.title`) }
+        return compiled
+    })
+}
+
+// Strip section-sign colour codes so configs can match on plain text
+function stripFormatting(text) {
+    return text.replace(/§./g, '')
+}
+
+function matchesText(text, pattern) {
+    return pattern === undefined || pattern.test(text)
+}
+
+/**
+ * Runs a declarative lobby navigation script: pick a hotbar slot, right-click
+ * to open a menu, click items matched by slot, display name or lore, possibly
+ * across several nested menus. Every failure names what was expected and
+ * what was actually there.
+ */
+class Navigator {
+    constructor(owner, steps) {
+        this.owner = owner
+        this.steps = steps
+        this.window = null
+    }
+
+    get bot() {
+        return this.owner.bot
+    }
+
+    log(message, level) {
+        this.owner.log(message, level)
+    }
+
+    toText(value) {
+        if (value === null || value === undefined) return ''
+        try {
+            const ChatMessage = loadChat(this.bot.registry)
+            return stripFormatting(ChatMessage.fromNotch(value).toString())
+        } catch (err) {
+            return stripFormatting(String(value))
+        }
+    }
+
+    getItemName(item) {
+        return item.customName ? this.toText(item.customName) : item.displayName
+    }
+
+    getItemLore(item) {
+        const lore = item.customLore
+        if (!lore) return ''
+        return (Array.isArray(lore) ? lore : [lore]).map(line => this.toText(line)).join('\n')
+    }
+
+    describeWindow(window) {
+        const items = window.slots
+            .slice(0, window.inventoryStart)
+            .filter(Boolean)
+            .map(item => `${item.slot}: ${this.getItemName(item)}`)
+        return `"${this.toText(window.title)}" [${items.join(', ') || 'empty'}]`
+    }
+
+    async run() {
+        this.window = null
+        for (const [index, step] of this.steps.entries()) {
+            if (!this.bot) throw new Error('Disconnected during navigation')
+            try {
+                await this.runStep(step)
+            } catch (err) {
+                throw new Error(`Navigation step ${index + 1} failed: ${err.message}`)
+            }
+        }
+    }
+
+    async runStep(step) {
+        if (step.hotbar !== undefined) {
+            this.bot.setQuickBarSlot(step.hotbar)
+            this.log(`🎯 Selected hotbar slot ${step.hotbar}`)
+        } else if (step.activate) {
+            this.window = await this.openMenu(step)
+        } else if (step.click) {
+            await this.click(step)
+        } else if (step.wait !== undefined) {
+            await this.owner.delay(step.wait)
+        } else if (step.chat) {
+            this.bot.chat(step.chat)
+            this.log(`💬 Sent ${step.chat}`)
+        } else if (step.close) {
+            if (this.bot.currentWindow) this.bot.closeWindow(this.bot.currentWindow)
+            this.window = null
+        }
+    }
+
+    /**
+     * Start listening before the click or right-click that opens the menu, so
+     * a fast server can't beat us. If that action fails, call cancel() on the
+     * returned promise: it then never settles instead of rejecting unhandled.
+     */
+    waitForWindow(timeout = DEFAULT_WINDOW_TIMEOUT) {
+        const bot = this.bot
+        let cancel
+        const promise = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                bot.removeListener('windowOpen', onOpen)
+                this.owner.timeouts.delete(timer)
+                reject(new Error('Menu open timeout'))
+            }, timeout)
+
+            this.owner.timeouts.add(timer)
+
+            const onOpen = (window) => {
+                clearTimeout(timer)
+                this.owner.timeouts.delete(timer)
+                resolve(window)
+            }
+
+            cancel = () => {
+                clearTimeout(timer)
+                this.owner.timeouts.delete(timer)
+                bot.removeListener('windowOpen', onOpen)
+            }
+
+            bot.once('windowOpen', onOpen)
+        })
+        promise.cancel = cancel
+        return promise
+    }
+
+    checkTitle(window, expectTitle) {
+        const title = this.toText(window.title)
+        if (!matchesText(title, expectTitle)) {
+            throw new Error(`Expected a menu titled ${expectTitle} but got ${this.describeWindow(window)}`)
+        }
+    }
+
+    async openMenu({ attempts = 3, timeout, expectTitle }) {
+        let lastError = null
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            this.log(`📂 Opening menu (attempt ${attempt}/${attempts})`)
+
+            const windowPromise = this.waitForWindow(timeout)
+            try {
+                try {
+                    this.bot.activateItem()
+                } catch (err) {
+                    windowPromise.cancel()
+                    throw err
+                }
+                const window = await windowPromise
+                this.log(`📋 Window opened: ${this.describeWindow(window)}`)
+                try {
+                    this.checkTitle(window, expectTitle)
+                } catch (err) {
+                    this.bot.closeWindow(window)
+                    throw err
+                }
+                return window
+            } catch (err) {
+                lastError = err
+                this.log(`⚠️ Failed to open menu on attempt ${attempt}: ${err.message}`, 'warn')
+                await this.owner.delay(2000)
+            }
+        }
+
+        const held = this.bot.heldItem
+        throw new Error(`Menu did not open after ${attempts} attempts (holding ${held ? this.getItemName(held) : 'nothing'}): ${lastError.message}`)
+    }
+
+    findSlot(window, { slot, name, lore }) {
+        if (slot !== undefined) {
+            if (!window.slots[slot]) {
+                throw new Error(`Slot ${slot} is empty in ${this.describeWindow(window)}`)
+            }
+            return slot
+        }
+
+        const item = window.slots
+            .slice(0, window.inventoryStart)
+            .find(item => item && matchesText(this.getItemName(item), name) && matchesText(this.getItemLore(item), lore))
+
+        if (!item) {
+            const wanted = [name && `name ${name}`, lore && `lore ${lore}`].filter(Boolean).join(' and ')
+            throw new Error(`No item with ${wanted} in ${this.describeWindow(window)}`)
+        }
+        return item.slot
+    }
+
+    async click({ click, button = 0, opensWindow }) {
+        const window = this.bot.currentWindow || this.window
+        if (!window) throw new Error('No menu is open to click in')
+
+        const slot = this.findSlot(window, click)
+        const itemName = this.getItemName(window.slots[slot])
+        const nextWindow = opensWindow ? this.waitForWindow(opensWindow.timeout) : null
+
+        try {
+            await this.bot.clickWindow(slot, button, 0)
+        } catch (err) {
+            if (nextWindow) nextWindow.cancel()
+            throw err
+        }
+        this.log(`📌 Clicked slot ${slot} (${itemName})`)
+
+        if (nextWindow) {
+            this.window = await nextWindow
+            this.log(`📋 Window opened: ${this.describeWindow(this.window)}`)
+            this.checkTitle(this.window, opensWindow.title)
+        }
+    }
+}
+
+module.exports = { Navigator, resolveNavigation, PRESETS }
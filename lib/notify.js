@@ -0,0 +1,142 @@
+const EVENTS = ['kicked', 'banned', 'death', 'lowHealth', 'noWeapon', 'joinFailed', 'reconnecting', 'playerNearby']
+const FORMATS = ['json', 'discord']
+
+const DEFAULTS = {
+    webhooks: [],
+    events: {},
+    lowHealth: 6,
+    joinFailures: 3,
+    reconnectAttempts: 5,
+    cooldown: 60 * 1000,
+    perMinute: 20,
+    timeout: 5000
+}
+
+// Discord embed colours per event, everything else is orange
+const COLORS = {
+    banned: 0xe74c3c,
+    death: 0xe74c3c,
+    kicked: 0xe67e22,
+    playerNearby: 0x3498db
+}
+
+/**
+ * Sends important bot events to webhooks. Each webhook is
+ * { url, format: "json" | "discord", events: [...] } where `events`
+ * optionally narrows which events it gets; `events` at the top level turns
+ * events off fleet-wide ({ "death": false }).
+ *
+ * Rate limited twice: the same event from the same bot at most once per
+ * `cooldown`, and at most `perMinute` messages overall. Sending never throws;
+ * a webhook that is down only costs a log line.
+ */
+class Notifier {
+    constructor(options = {}, logger) {
+        this.options = { ...DEFAULTS, ...options }
+        this.logger = logger
+
+        for (const field of ['lowHealth', 'joinFailures', 'reconnectAttempts', 'perMinute', 'timeout']) {
+            if (!Number.isFinite(this.options[field]) || this.options[field] <= 0) {
+                throw new Error(`notifications.${field} must be a positive number`)
+            }
+        }
+        // 0 turns the per-event cooldown off
+        if (!Number.isFinite(this.options.cooldown) || this.options.cooldown < 0) {
+            throw new Error('notifications.cooldown must be a positive number of milliseconds or 0')
+        }
+
+        const unknown = Object.keys(this.options.events).filter(event => !EVENTS.includes(event))
+        if (unknown.length) {
+            throw new Error(`Unknown notification event ${unknown.join(', ')} (expected: ${EVENTS.join(', ')})`)
+        }
+        this.webhooks = this.options.webhooks.map((webhook, i) => {
+            const where = `notifications.webhooks[${i}]`
+            if (typeof webhook.url !== 'string' || !/^https?:\/\//.test(webhook.url)) {
+                throw new Error(`${where}.url must be an http(s) URL`)
+            }
+            const format = webhook.format || 'json'
+            if (!FORMATS.includes(format)) {
+                throw new Error(`${where}.format must be one of: ${FORMATS.join(', ')}`)
+            }
+            const events = webhook.events || EVENTS
+            const unknownEvents = events.filter(event => !EVENTS.includes(event))
+            if (unknownEvents.length) {
+                throw new Error(`${where}: unknown event ${unknownEvents.join(', ')} (expected: ${EVENTS.join(', ')})`)
+            }
+            return { url: webhook.url, format, events }
+        })
+
+        this.lastSent = new Map() // "bot:event" -> time
+        this.recent = [] // send times within the last minute
+    }
+
+    isEnabled(event) {
+        return this.options.events[event] !== false && this.webhooks.some(webhook => webhook.events.includes(event))
+    }
+
+    // Returns false when the rate limits swallow this one
+    allow(bot, event) {
+        const now = Date.now()
+        const key = `${bot}:${event}`
+        if (now - (this.lastSent.get(key) || 0) < this.options.cooldown) return false
+
+        this.recent = this.recent.filter(time => now - time < 60 * 1000)
+        if (this.recent.length >= this.options.perMinute) return false
+
+        this.lastSent.set(key, now)
+        this.recent.push(now)
+        return true
+    }
+
+    /**
+     * @param bot     name of the bot the event is about
+     * @param event   one of EVENTS
+     * @param message one line for humans
+     * @param fields  extra details, shown as key/value pairs
+     */
+    async notify(bot, event, message, fields = {}) {
+        if (!this.isEnabled(event)) return
+        if (!this.allow(bot, event)) {
+            this.logger.debug(`🔕 Rate limited ${event} notification for ${bot}`)
+            return
+        }
+
+        const time = new Date().toISOString()
+        await Promise.all(this.webhooks
+            .filter(webhook => webhook.events.includes(event))
+            .map(webhook => this.post(webhook, this.buildPayload(webhook.format, { bot, event, message, fields, time }))))
+    }
+
+    buildPayload(format, { bot, event, message, fields, time }) {
+        if (format === 'json') return { bot, event, message, fields, time }
+
+        return {
+            username: 'KillingBot',
+            embeds: [{
+                title: `${bot}: ${event}`,
+                description: message,
+                color: COLORS[event] || 0xf39c12,
+                timestamp: time,
+                fields: Object.entries(fields).map(([name, value]) => ({ name, value: String(value), inline: true }))
+            }]
+        }
+    }
+
+    async post(webhook, payload) {
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+                signal: AbortSignal.timeout(this.options.timeout)
+            })
+            if (!response.ok) {
+                this.logger.warn(`⚠️ Webhook ${new URL(webhook.url).host} answered ${response.status}`)
+            }
+        } catch (err) {
+            this.logger.warn(`⚠️ Webhook ${new URL(webhook.url).host} failed: ${err.message}`)
+        }
+    }
+}
+
+module.exports = { Notifier, EVENTS }
@@ -0,0 +1,132 @@
+const { ping } = require('minecraft-protocol')
+const minecraftData = require('minecraft-data')
+
+const DEFAULTS = {
+    enabled: true,
+    interval: 15 * 1000,
+    timeout: 5000,
+    waitIfFull: true
+}
+
+// The MOTD is a chat component (or a plain string on old servers)
+function flattenText(component) {
+    if (!component) return ''
+    if (typeof component === 'string') return component.replace(/§./g, '')
+    const extra = (component.extra || []).map(flattenText).join('')
+    return (component.text || '').replace(/§./g, '') + extra
+}
+
+// Newest release that speaks this protocol, e.g. 763 -> "1.20.1"
+function versionForProtocol(protocol) {
+    const versions = minecraftData.postNettyVersionsByProtocolVersion.pc[protocol]
+    return versions ? versions[0].minecraftVersion : null
+}
+
+/**
+ * Server list ping: asks the server for its status without logging in.
+ * Resolves with the interesting parts of the answer, rejects if nothing
+ * answers within `timeout`.
+ */
+async function pingServer({ host, port, version }, timeout = DEFAULTS.timeout) {
+    const started = Date.now()
+    const response = await ping({
+        host,
+        port,
+        version: version || undefined,
+        closeTimeout: timeout,
+        noPongTimeout: timeout
+    })
+
+    const protocol = response.version ? response.version.protocol : null
+    return {
+        motd: flattenText(response.description),
+        version: response.version ? response.version.name : null,
+        protocol,
+        minecraftVersion: protocol ? versionForProtocol(protocol) : null,
+        players: response.players
+            ? { online: response.players.online, max: response.players.max }
+            : null,
+        latency: response.latency !== undefined ? response.latency : Date.now() - started
+    }
+}
+
+/**
+ * Pings the server before every login attempt so a bot waits quietly while
+ * the server is down or full instead of failing full logins over and over.
+ * The last answer is kept in `status` for the bot's status output.
+ */
+class ServerProbe {
+    constructor(owner, options = {}) {
+        this.owner = owner
+        this.options = { ...DEFAULTS, ...options }
+        for (const field of ['interval', 'timeout']) {
+            if (!Number.isFinite(this.options[field]) || this.options[field] <= 0) {
+                throw new Error(`probe.${field} must be a positive number of milliseconds`)
+            }
+        }
+        this.status = null
+        this.token = null
+    }
+
+    log(message, level) {
+        this.owner.log(message, level)
+    }
+
+    // Returns what keeps us from logging in, or null when the server is ready
+    async check() {
+        try {
+            const status = await pingServer(this.owner.config, this.options.timeout)
+            this.status = { online: true, ...status, checkedAt: Date.now() }
+        } catch (err) {
+            this.status = { online: false, error: err.message, checkedAt: Date.now() }
+            return `Server not answering (${err.message})`
+        }
+
+        const players = this.status.players
+        if (this.options.waitIfFull && players && players.max > 0 && players.online >= players.max) {
+            return `Server is full (${players.online}/${players.max})`
+        }
+        return null
+    }
+
+    /**
+     * Resolves with { waited } once the server answers and has room, or null
+     * if cancel() was called meanwhile. Passing an interval probes even when
+     * probing is disabled (the reconnect policy's "ping" action).
+     */
+    async wait(interval) {
+        if (!this.options.enabled && interval === undefined) return { waited: false }
+
+        const token = this.token = {}
+        const every = interval || this.options.interval
+        const started = Date.now()
+        let lastProblem = null
+
+        while (this.token === token) {
+            const problem = await this.check()
+            if (this.token !== token) return null
+
+            if (!problem) {
+                const { players, version, latency } = this.status
+                const waited = lastProblem !== null
+                const after = waited ? ` after ${Math.round((Date.now() - started) / 1000)}s` : ''
+                this.log(`📡 Server ready${after}: ${version}, ${players ? `${players.online}/${players.max} online` : 'no player count'}, ${latency} ms`)
+                return { waited }
+            }
+
+            // Only log changes, a server that is down for an hour shouldn't fill the log
+            if (problem !== lastProblem) {
+                this.log(`📡 ${problem}, checking every ${Math.round(every / 1000)}s`)
+                lastProblem = problem
+            }
+            await this.owner.delay(every)
+        }
+        return null
+    }
+
+    cancel() {
+        this.token = null
+    }
+}
+
+module.exports = { pingServer, ServerProbe, versionForProtocol }
@@ -0,0 +1,186 @@
+const { Vec3 } = require('vec3')
+const { pathfinder, Movements, goals } = require('mineflayer-pathfinder')
+
+const DEFAULTS = {
+    position: null,
+    facing: null,
+    tolerance: 2,
+    pathTimeout: 20 * 1000,
+    fallbackCommand: null,
+    fallbackWait: 5000,
+    retryAfter: 30 * 1000
+}
+
+// F3 screen degrees -> mineflayer radians
+function fromNotchian({ yaw = 0, pitch = 0 }) {
+    return { yaw: Math.PI - yaw * Math.PI / 180, pitch: -pitch * Math.PI / 180 }
+}
+
+/**
+ * Keeps the killer on its AFK spot ("post"). The post is `position`
+ * ({ x, y, z }, use .5 for a block centre) and `facing` ({ yaw, pitch } as
+ * shown on the F3 screen) when configured, otherwise wherever the killer
+ * stood and looked when it first joined; it is kept across reconnects.
+ *
+ * Once the bot is more than `tolerance` blocks away (knockback, water,
+ * teleports) it walks back with pathfinding. If no path is found within
+ * `pathTimeout` it sends `fallbackCommand` (e.g. "/is home"), waits
+ * `fallbackWait` and paths again from there. When all of that fails it farms
+ * where it is and tries again after `retryAfter`.
+ */
+class PostKeeper {
+    constructor(owner, options = {}) {
+        this.owner = owner
+        this.options = { ...DEFAULTS, ...options }
+
+        const { position, facing } = this.options
+        if (position && !['x', 'y', 'z'].every(axis => Number.isFinite(position[axis]))) {
+            throw new Error('post.position must be { "x": ..., "y": ..., "z": ... }')
+        }
+        if (facing && !['yaw', 'pitch'].every(angle => facing[angle] === undefined || Number.isFinite(facing[angle]))) {
+            throw new Error('post.facing must be { "yaw": degrees, "pitch": degrees }')
+        }
+        if (!(this.options.tolerance > 0)) {
+            throw new Error('post.tolerance must be a positive number of blocks')
+        }
+
+        this.position = position ? new Vec3(position.x, position.y, position.z) : null
+        this.facing = facing ? fromNotchian(facing) : null
+        this.returning = false
+        this.session = 0 // bumped by detach() so a walk back from the last session gives up
+        this.cancelPath = null
+        this.lastFailureAt = 0
+        this.lastReturn = null
+    }
+
+    get bot() {
+        return this.owner.bot
+    }
+
+    log(message, level) {
+        this.owner.log(message, level)
+    }
+
+    // Called when the killer attaches, i.e. once per join
+    attach() {
+        if (!this.bot.pathfinder) this.bot.loadPlugin(pathfinder)
+        const movements = new Movements(this.bot)
+        // Never break or place blocks on someone's island
+        movements.canDig = false
+        movements.allow1by1towers = false
+        movements.scafoldingBlocks = []
+        this.bot.pathfinder.setMovements(movements)
+
+        if (!this.position) this.setHere()
+        else if (!this.facing) this.facing = { yaw: this.bot.entity.yaw, pitch: this.bot.entity.pitch }
+    }
+
+    // Called when the killer detaches. Cleanup drops the pathfinder's listeners
+    // and timers, so a walk back still running would otherwise never settle
+    detach() {
+        this.session++
+        this.returning = false
+        if (this.cancelPath) this.cancelPath()
+    }
+
+    setHere() {
+        const entity = this.bot.entity
+        this.position = entity.position.clone()
+        this.facing = { yaw: entity.yaw, pitch: entity.pitch }
+        this.lastFailureAt = 0
+        this.log(`📍 Post set at ${this.describe()}`)
+    }
+
+    describe() {
+        const { x, y, z } = this.position
+        return `${x.toFixed(1)} ${y.toFixed(1)} ${z.toFixed(1)}`
+    }
+
+    getDrift() {
+        return this.bot && this.bot.entity && this.position ? this.bot.entity.position.distanceTo(this.position) : 0
+    }
+
+    // True when we should go back now; false while waiting to retry after a failed return
+    isDrifted() {
+        if (this.returning || Date.now() - this.lastFailureAt < this.options.retryAfter) return false
+        return this.getDrift() > this.options.tolerance
+    }
+
+    async returnToPost() {
+        if (this.returning) return false
+        this.returning = true
+        const session = this.session
+        const drift = this.getDrift()
+        this.log(`🧭 ${drift.toFixed(1)} blocks off post, walking back to ${this.describe()}`, 'warn')
+
+        try {
+            let via = await this.tryPath() ? 'path' : null
+            if (session !== this.session) return false
+            if (!via && this.options.fallbackCommand && this.bot) {
+                this.log(`🧭 Using ${this.options.fallbackCommand}`)
+                this.owner.chat(this.options.fallbackCommand)
+                await this.owner.delay(this.options.fallbackWait)
+                if (this.getDrift() <= this.options.tolerance || await this.tryPath()) via = this.options.fallbackCommand
+            }
+
+            this.lastReturn = { at: new Date().toISOString(), drift: Math.round(drift * 10) / 10, via: via || 'failed' }
+            if (!via) {
+                this.lastFailureAt = Date.now()
+                this.log(`⚠️ Could not get back to post, farming here and retrying in ${Math.round(this.options.retryAfter / 1000)}s`, 'warn')
+                return false
+            }
+
+            await this.face()
+            this.log(`📍 Back on post (via ${via})`)
+            return true
+        } finally {
+            this.returning = false
+        }
+    }
+
+    async tryPath() {
+        const bot = this.bot
+        if (!bot) return false
+
+        const { x, y, z } = this.position.floored()
+        const route = bot.pathfinder.goto(new goals.GoalBlock(x, y, z))
+        let timer
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`no path within ${Math.round(this.options.pathTimeout / 1000)}s`)), this.options.pathTimeout)
+            this.owner.timeouts.add(timer)
+            this.cancelPath = () => reject(new Error('bot went offline'))
+        })
+
+        try {
+            await Promise.race([route, timeout])
+        } catch (err) {
+            this.log(`⚠️ Pathfinding to post failed: ${err.message}`, 'warn')
+            return false
+        } finally {
+            clearTimeout(timer)
+            this.owner.timeouts.delete(timer)
+            this.cancelPath = null
+            route.catch(() => {}) // rejects once stopped below
+            if (this.bot === bot) bot.pathfinder.stop()
+        }
+
+        // The path ends somewhere in the block; step onto the exact spot
+        return this.owner.walkTo(this.position, { range: 0.3, timeout: 2000 })
+    }
+
+    async face() {
+        if (this.bot && this.facing) await this.bot.look(this.facing.yaw, this.facing.pitch, true)
+    }
+
+    getStatus() {
+        if (!this.position) return null
+        return {
+            position: this.describe(),
+            drift: Math.round(this.getDrift() * 10) / 10,
+            returning: this.returning,
+            lastReturn: this.lastReturn
+        }
+    }
+}
+
+module.exports = { PostKeeper }
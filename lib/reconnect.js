@@ -0,0 +1,149 @@
+const loadChat = require('prismarine-chat')
+
+const ACTIONS = ['backoff', 'wait', 'ping', 'giveUp']
+
+// Matched in order against the plain kick message, first match wins
+const DEFAULT_REASONS = [
+    { pattern: 'banned', reason: 'banned' },
+    { pattern: 'whitelist', reason: 'whitelist' },
+    { pattern: 'logged in from another location|already (?:connected|online|playing)|duplicate login', reason: 'duplicate' },
+    { pattern: 'restart|server (?:is )?(?:closed|closing|stopping|shutting down)', reason: 'restarting' },
+    { pattern: 'throttl|too (?:fast|many|soon|quickly)|wait .*before reconnecting', reason: 'throttled' }
+]
+
+// Socket errors that mean nothing is listening right now
+const UNREACHABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN']
+
+/**
+ * What to do per reason. Omitted delays fall back to the bot's reconnectDelay
+ * and maxReconnectDelay. Join failure reasons from ./joinConfirm (full,
+ * unavailable, timeout, ...) land here too and use "default" unless listed.
+ */
+const DEFAULT_STRATEGIES = {
+    banned: { action: 'giveUp' },
+    whitelist: { action: 'giveUp' },
+    duplicate: { action: 'wait', delay: 60 * 1000 },
+    restarting: { action: 'ping', delay: 15 * 1000, interval: 10 * 1000 },
+    throttled: { action: 'backoff', delay: 30 * 1000, factor: 2, max: 5 * 60 * 1000 },
+    unreachable: { action: 'ping', interval: 10 * 1000 },
+    restart: { action: 'wait', delay: 5000 },
+    default: { action: 'backoff' }
+}
+
+const DEFAULT_JITTER = 0.2
+const DEFAULT_STAGGER = 5000
+
+/**
+ * Decides how a bot reconnects after it was disconnected: classifies the kick
+ * message or socket error into a reason and maps that reason to a strategy.
+ *
+ *   backoff: delay * factor^attempts, capped at max
+ *   wait:    a fixed delay
+ *   ping:    wait, then only reconnect once the server answers a status ping
+ *   giveUp:  stop reconnecting until told to
+ */
+class ReconnectPolicy {
+    constructor(config, options = {}) {
+        this.config = config
+        this.jitter = options.jitter !== undefined ? options.jitter : DEFAULT_JITTER
+        this.reasons = [...(options.reasons || []), ...DEFAULT_REASONS].map(({ pattern, reason }) => ({
+            regex: new RegExp(pattern, 'i'),
+            reason
+        }))
+        this.strategies = { ...DEFAULT_STRATEGIES, ...(options.strategies || {}) }
+
+        if (!Number.isFinite(this.jitter) || this.jitter < 0 || this.jitter >= 1) {
+            throw new Error('reconnect.jitter must be a fraction between 0 and 1')
+        }
+        for (const [reason, strategy] of Object.entries(this.strategies)) {
+            if (!ACTIONS.includes(strategy.action)) {
+                throw new Error(`Unknown reconnect action "${strategy.action}" for "${reason}" (expected one of: ${ACTIONS.join(', ')})`)
+            }
+            for (const field of ['delay', 'max', 'factor', 'interval']) {
+                if (strategy[field] !== undefined && (!Number.isFinite(strategy[field]) || strategy[field] <= 0)) {
+                    throw new Error(`reconnect.strategies.${reason}.${field} must be a positive number`)
+                }
+            }
+        }
+    }
+
+    // Kick reasons arrive as chat components; errors and 'end' as plain values
+    describe(detail, registry) {
+        if (detail instanceof Error) return detail.message
+        if (detail === undefined || detail === null) return 'unknown'
+        try {
+            return loadChat(registry).fromNotch(detail).toString().replace(/§./g, '')
+        } catch (err) {
+            return typeof detail === 'string' ? detail : JSON.stringify(detail)
+        }
+    }
+
+    classify(message, detail) {
+        if (detail && UNREACHABLE_CODES.includes(detail.code)) return 'unreachable'
+        const match = this.reasons.find(({ regex }) => regex.test(message))
+        return match ? match.reason : 'default'
+    }
+
+    /**
+     * @param reason   from classify() or a join failure reason
+     * @param attempts reconnect attempts so far, counting this one
+     * @returns { action, delay, interval }
+     */
+    plan(reason, attempts) {
+        const strategy = this.strategies[reason] || this.strategies.default
+        if (strategy.action === 'giveUp') return { action: 'giveUp', delay: 0 }
+
+        const base = strategy.delay || this.config.reconnectDelay
+        let delay = base
+        if (strategy.action === 'backoff') {
+            delay = Math.min(
+                base * Math.pow(strategy.factor || 1.5, attempts),
+                strategy.max || this.config.maxReconnectDelay
+            )
+        }
+
+        const jitter = strategy.jitter !== undefined ? strategy.jitter : this.jitter
+        delay = Math.round(delay * (1 + (Math.random() * 2 - 1) * jitter))
+
+        return { action: strategy.action, delay, interval: strategy.interval || this.config.reconnectDelay }
+    }
+}
+
+/**
+ * Shared by the whole fleet: hands out reconnect slots at least `gap` ms
+ * apart so bots that dropped together don't all rejoin in the same second.
+ * Slots can be booked far ahead (scheduled restarts) without holding up
+ * earlier ones.
+ */
+class ReconnectStagger {
+    constructor(gap = DEFAULT_STAGGER) {
+        this.gap = gap
+        this.slots = []
+    }
+
+    // Books the first free slot at least `delay` from now and returns its time
+    book(delay = 0) {
+        const now = Date.now()
+        this.slots = this.slots.filter(slot => slot > now - this.gap)
+
+        let at = now + delay
+        let taken
+        while ((taken = this.slots.find(slot => Math.abs(slot - at) < this.gap)) !== undefined) {
+            at = taken + this.gap
+        }
+        this.slots.push(at)
+        return at
+    }
+
+    // Returns how long to wait from now: at least `delay`, later if the slot is taken
+    reserve(delay = 0) {
+        return Math.max(0, this.book(delay) - Date.now())
+    }
+
+    // Frees a slot from book() that won't be used after all
+    release(at) {
+        this.slots = this.slots.filter(slot => slot !== at)
+    }
+}
+
+module.exports = { ReconnectPolicy, ReconnectStagger, DEFAULT_STRATEGIES }
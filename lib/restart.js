@@ -0,0 +1,240 @@
+const MODES = ['always', 'unhealthy']
+
+const DEFAULTS = {
+    mode: 'always',
+    jitter: 0.1,
+    windows: [],
+    checkInterval: 60 * 1000,
+    minUptime: 5 * 60 * 1000,
+    health: {
+        chatSilence: 10 * 60 * 1000,
+        entitySilence: 2 * 60 * 1000,
+        maxDrift: 8,
+        minTps: null
+    }
+}
+
+const DAY = 24 * 60 * 60 * 1000
+
+// "04:30" -> minutes after midnight
+function parseTime(text, where) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(text || '')
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`${where} must be a time like "04:30"`)
+    }
+    return Number(match[1]) * 60 + Number(match[2])
+}
+
+function minutesOf(date) {
+    return date.getHours() * 60 + date.getMinutes()
+}
+
+// Windows may wrap midnight: { from: "23:00", to: "02:00" }
+function inWindow(window, date) {
+    const minutes = minutesOf(date)
+    return window.from <= window.to
+        ? minutes >= window.from && minutes < window.to
+        : minutes >= window.from || minutes < window.to
+}
+
+/**
+ * Decides when a bot restarts (disconnects and reconnects) to shake off stale
+ * connections. Replaces the fixed setInterval: restarts get random jitter, take
+ * a fleet-wide slot so bots don't drop together, can be limited to time-of-day
+ * windows (local time) and, in "unhealthy" mode, only happen when the
+ * connection looks stuck:
+ *
+ *   chatSilence:   no chat or system message for this long
+ *   entitySilence: no entity has moved for this long
+ *   maxDrift:      the bot is this many blocks from where it joined
+ *   minTps:        the server's tick rate, estimated from time updates, is below this
+ *
+ * Set a health signal to null to ignore it.
+ */
+class RestartScheduler {
+    /**
+     * @param stagger fleet-wide ReconnectStagger shared by every bot's scheduler
+     */
+    constructor(owner, options = {}, stagger) {
+        this.owner = owner
+        this.options = { ...DEFAULTS, ...options, health: { ...DEFAULTS.health, ...(options.health || {}) } }
+        this.stagger = stagger
+
+        if (!MODES.includes(this.options.mode)) {
+            throw new Error(`Unknown restart mode "${this.options.mode}" (expected one of: ${MODES.join(', ')})`)
+        }
+        for (const field of ['interval', 'checkInterval']) {
+            if (!Number.isFinite(this.options[field]) || this.options[field] <= 0) {
+                throw new Error(`restart.${field} must be a positive number of milliseconds`)
+            }
+        }
+        if (!Number.isFinite(this.options.jitter) || this.options.jitter < 0 || this.options.jitter >= 1) {
+            throw new Error('restart.jitter must be a fraction between 0 and 1')
+        }
+        this.windows = this.options.windows.map((window, i) => ({
+            from: parseTime(window.from, `restart.windows[${i}].from`),
+            to: parseTime(window.to, `restart.windows[${i}].to`)
+        }))
+
+        this.timer = null
+        this.nextAt = null
+        this.slot = null // stagger slot booked for the pending restart
+        this.startedAt = null
+        this.anchor = null
+        this.listeners = []
+        this.signals = null
+        this.lastProblems = []
+    }
+
+    get bot() {
+        return this.owner.bot
+    }
+
+    log(message, level) {
+        this.owner.log(message, level)
+    }
+
+    // Called once the bot has joined
+    start() {
+        this.stop()
+        const now = Date.now()
+        this.startedAt = now
+        this.anchor = this.bot.entity.position.clone()
+        this.signals = { chat: now, entities: now, tps: null, lastTime: null }
+
+        this.listen('message', () => { this.signals.chat = Date.now() })
+        this.listen('entityMoved', () => { this.signals.entities = Date.now() })
+        this.listen('time', () => this.sampleTps())
+
+        if (this.options.mode === 'always') {
+            this.scheduleRestart()
+        } else {
+            this.schedule(this.options.checkInterval, () => this.checkHealth())
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer)
+            this.owner.timeouts.delete(this.timer)
+            this.timer = null
+        }
+        // A restart that won't happen shouldn't keep other bots waiting
+        if (this.slot !== null) {
+            this.stagger.release(this.slot)
+            this.slot = null
+        }
+        if (this.bot) {
+            this.listeners.forEach(([event, listener]) => this.bot.removeListener(event, listener))
+        }
+        this.listeners = []
+        this.nextAt = null
+    }
+
+    listen(event, listener) {
+        this.bot.on(event, listener)
+        this.listeners.push([event, listener])
+    }
+
+    schedule(delay, fn) {
+        this.nextAt = Date.now() + delay
+        this.timer = setTimeout(() => {
+            this.owner.timeouts.delete(this.timer)
+            this.timer = null
+            fn()
+        }, delay)
+        this.owner.timeouts.add(this.timer)
+    }
+
+    // Book a fleet-wide slot for the restart and return how long until it
+    reserveSlot(delay = 0) {
+        this.slot = this.stagger.book(delay)
+        return Math.max(0, this.slot - Date.now())
+    }
+
+    isInWindow(date = new Date()) {
+        return this.windows.length === 0 || this.windows.some(window => inWindow(window, date))
+    }
+
+    // Earliest time at or after `at` that falls inside a restart window
+    nextWindowTime(at) {
+        if (this.isInWindow(new Date(at))) return at
+
+        const date = new Date(at)
+        const midnight = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime()
+        return Math.min(...this.windows.map(window => {
+            const opening = midnight + window.from * 60 * 1000
+            return opening > at ? opening : opening + DAY
+        }))
+    }
+
+    scheduleRestart() {
+        const jitter = (Math.random() * 2 - 1) * this.options.jitter
+        const due = this.nextWindowTime(Date.now() + Math.round(this.options.interval * (1 + jitter)))
+        const delay = this.reserveSlot(due - Date.now())
+        this.schedule(delay, () => this.restart(`${Math.round(this.options.interval / 60000)} min refresh`))
+    }
+
+    sampleTps() {
+        const now = Date.now()
+        const age = this.bot.time.age
+        const last = this.signals.lastTime
+        this.signals.lastTime = { at: now, age }
+        if (!last || now - last.at < 500) return
+
+        const sample = Math.min(20, Math.max(0, (age - last.age) / ((now - last.at) / 1000)))
+        this.signals.tps = this.signals.tps === null ? sample : this.signals.tps * 0.8 + sample * 0.2
+    }
+
+    // Returns what looks wrong with the connection, empty when healthy
+    getProblems() {
+        const health = this.options.health
+        const now = Date.now()
+        const problems = []
+
+        if (health.chatSilence && now - this.signals.chat > health.chatSilence) {
+            problems.push(`no chat for ${Math.round((now - this.signals.chat) / 60000)} min`)
+        }
+        if (health.entitySilence && now - this.signals.entities > health.entitySilence) {
+            problems.push(`no entity updates for ${Math.round((now - this.signals.entities) / 1000)}s`)
+        }
+        if (health.maxDrift && this.bot.entity) {
+            const drift = this.bot.entity.position.distanceTo(this.anchor)
+            if (drift > health.maxDrift) problems.push(`drifted ${Math.round(drift)} blocks from the join spot`)
+        }
+        if (health.minTps && this.signals.tps !== null && this.signals.tps < health.minTps) {
+            problems.push(`server at ${this.signals.tps.toFixed(1)} TPS`)
+        }
+        return problems
+    }
+
+    checkHealth() {
+        if (!this.bot) return
+
+        this.lastProblems = Date.now() - this.startedAt >= this.options.minUptime ? this.getProblems() : []
+        if (this.lastProblems.length && this.isInWindow()) {
+            const problems = this.lastProblems.join(', ')
+            this.schedule(this.reserveSlot(), () => this.restart(`unhealthy: ${problems}`))
+            return
+        }
+        this.schedule(this.options.checkInterval, () => this.checkHealth())
+    }
+
+    restart(why) {
+        this.log(`🕒 Scheduled restart (${why})...`)
+        // The slot is used now; stop() must not free it
+        this.slot = null
+        this.owner.scheduleReconnect({ reason: 'restart' })
+    }
+
+    getStatus() {
+        return {
+            mode: this.options.mode,
+            next: this.nextAt ? new Date(this.nextAt).toISOString() : null,
+            problems: this.lastProblems,
+            tps: this.signals && this.signals.tps !== null ? Math.round(this.signals.tps * 10) / 10 : null
+        }
+    }
+}
+
+module.exports = { RestartScheduler, parseTime, DAY }
@@ -0,0 +1,130 @@
+const Role = require('./role')
+
+const ROUTINES = ['look', 'sneak', 'hotbar', 'walk', 'jump']
+
+const DEFAULTS = {
+    routines: ROUTINES,
+    minInterval: 20 * 1000,
+    maxInterval: 60 * 1000,
+    radius: 2
+}
+
+function randomBetween(min, max) {
+    return min + Math.random() * (max - min)
+}
+
+/**
+ * Stands around after joining, but not perfectly still: every random
+ * interval it runs one anti-AFK routine so the server doesn't kick it or stop
+ * paying AFK rewards. Walks never leave `radius` blocks around the spot where
+ * the bot joined, and a bot that got pushed out walks back first.
+ */
+class IdleRole extends Role {
+    constructor(owner, name, options) {
+        super(owner, name, options)
+        this.options = { ...DEFAULTS, ...this.options }
+
+        const unknown = this.options.routines.filter(routine => !ROUTINES.includes(routine))
+        if (unknown.length) {
+            throw new Error(`Unknown anti-AFK routine ${unknown.join(', ')} (expected one of: ${ROUTINES.join(', ')})`)
+        }
+        const { minInterval, maxInterval } = this.options
+        if (!(minInterval > 0) || !(maxInterval >= minInterval)) {
+            throw new Error('idle.minInterval must be positive and no larger than idle.maxInterval')
+        }
+
+        this.home = null
+        this.loopId = 0
+    }
+
+    onAttach() {
+        this.home = this.bot.entity.position.clone()
+        const routines = this.options.routines
+        this.log(`💤 Idling${routines.length ? ` (anti-AFK: ${routines.join(', ')})` : ''}`)
+        if (routines.length) this.antiAfkLoop()
+    }
+
+    onDetach() {
+        this.loopId++
+        if (this.bot) this.bot.clearControlStates()
+    }
+
+    async antiAfkLoop() {
+        const loopId = ++this.loopId
+
+        while (true) {
+            await this.delay(randomBetween(this.options.minInterval, this.options.maxInterval))
+            if (loopId !== this.loopId || !this.attached || !this.bot) return
+            if (this.owner.isPaused()) continue
+
+            const routines = this.options.routines
+            const routine = routines[Math.floor(Math.random() * routines.length)]
+            try {
+                await this.run(routine)
+            } catch (err) {
+                this.log(`⚠️ Anti-AFK ${routine} failed: ${err.message}`, 'warn')
+            }
+        }
+    }
+
+    // Islands end in the void: only walk where there is solid floor all the way
+    hasFloor(from, to) {
+        const steps = Math.max(1, Math.ceil(from.distanceTo(to) * 2))
+        for (let i = 0; i <= steps; i++) {
+            const point = from.plus(to.minus(from).scaled(i / steps))
+            const floor = this.bot.blockAt(point.offset(0, -1, 0))
+            if (!floor || floor.boundingBox !== 'block') return false
+        }
+        return true
+    }
+
+    // Sneaking stops the bot at edges, in case the floor check missed one
+    async sneakTo(target, timeout) {
+        this.bot.setControlState('sneak', true)
+        await this.owner.walkTo(target, { range: 0.5, timeout })
+        if (this.bot) this.bot.setControlState('sneak', false)
+    }
+
+    async run(routine) {
+        // Always come back first if something pushed us away
+        if (this.bot.entity.position.distanceTo(this.home) > this.options.radius) {
+            await this.sneakTo(this.home, 5000)
+            return
+        }
+
+        switch (routine) {
+            case 'look': {
+                const yaw = this.bot.entity.yaw + randomBetween(-0.6, 0.6)
+                const pitch = Math.max(-0.5, Math.min(0.5, randomBetween(-0.3, 0.3)))
+                await this.bot.look(yaw, pitch, false)
+                break
+            }
+            case 'sneak':
+                this.bot.setControlState('sneak', true)
+                await this.delay(randomBetween(500, 1500))
+                if (this.bot) this.bot.setControlState('sneak', false)
+                break
+            case 'hotbar': {
+                const original = this.bot.quickBarSlot
+                this.bot.setQuickBarSlot((original + 1 + Math.floor(Math.random() * 8)) % 9)
+                await this.delay(randomBetween(500, 1500))
+                if (this.bot) this.bot.setQuickBarSlot(original)
+                break
+            }
+            case 'walk': {
+                const angle = Math.random() * Math.PI * 2
+                const distance = Math.random() * this.options.radius
+                const target = this.home.offset(Math.cos(angle) * distance, 0, Math.sin(angle) * distance)
+                if (this.hasFloor(this.bot.entity.position, target)) await this.sneakTo(target, 3000)
+                break
+            }
+            case 'jump':
+                this.bot.setControlState('jump', true)
+                await this.delay(300)
+                if (this.bot) this.bot.setControlState('jump', false)
+                break
+        }
+    }
+}
+
+module.exports = IdleRole
@@ -0,0 +1,12 @@
+const KillerRole = require('./killer')
+const IdleRole = require('./idle')
+const SelfCareRole = require('./selfCare')
+const ProximityRole = require('./proximity')
+
+// Role name (as used in the fleet config) -> implementation
+module.exports = {
+    killer: KillerRole,
+    idle: IdleRole,
+    selfcare: SelfCareRole,
+    proximity: ProximityRole
+}
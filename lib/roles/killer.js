@@ -0,0 +1,160 @@
+const Role = require('./role')
+const { TargetPolicy } = require('../targeting')
+const { AttackTiming } = require('../attackTiming')
+const { WeaponManager } = require('../weapons')
+const { LootCollector } = require('../loot')
+const { PostKeeper } = require('../post')
+
+class KillerRole extends Role {
+    constructor(owner, name, options) {
+        super(owner, name, options)
+        this.targeting = new TargetPolicy({
+            ...(this.options.range ? { maxRange: this.options.range } : {}),
+            ...this.options.targeting
+        })
+        this.timing = new AttackTiming(this.options.attack)
+        this.weapons = new WeaponManager(owner, this.options.weapons)
+        this.loot = new LootCollector(owner, this.options.loot)
+        this.post = new PostKeeper(owner, this.options.post)
+        this.weaponCheck = null
+        this.loopId = 0
+        this.lastAttack = null
+    }
+
+    onAttach() {
+        // While paused another module (e.g. eating) may be holding something else
+        this.listen('heldItemChanged', () => {
+            this.timing.resetCooldown()
+            if (this.state.isKilling && !this.owner.isPaused()) this.weapons.check()
+        })
+        this.listen('entityDead', (entity) => {
+            if (this.timing.recordDeath(entity)) this.owner.metrics.countKill(entity.name)
+        })
+        // A hurt animation right after our swing means it landed
+        this.listen('entityHurt', (entity) => {
+            if (!this.lastAttack || entity.id !== this.lastAttack.id || Date.now() - this.lastAttack.at > 1000) return
+            this.lastAttack = null
+            this.timing.recordHit()
+            this.owner.metrics.count('hits')
+        })
+        // Durability changes don't always swap the held item, so poll as well
+        this.weaponCheck = setInterval(() => {
+            if (this.state.isKilling && !this.owner.isPaused()) this.weapons.check()
+        }, this.weapons.options.checkInterval)
+        this.post.attach()
+        this.loot.setAnchor(this.post.position)
+        this.log(`⏱️ Attack mode: ${this.timing.getMode(this.bot)}`)
+        this.startKilling()
+    }
+
+    getStatus() {
+        return { ...this.timing.getStats(), post: this.post.getStatus() }
+    }
+
+    onDetach() {
+        clearInterval(this.weaponCheck)
+        this.weaponCheck = null
+        this.post.detach()
+        this.state.isKilling = false
+    }
+
+    async startKilling() {
+        if (this.state.isKilling) {
+            this.log('⚔️ Already killing mobs')
+            return
+        }
+
+        this.state.isKilling = true
+        const weaponEquipped = await this.weapons.check()
+
+        if (weaponEquipped) {
+            this.log(`⚔️ Started killing mobs with ${this.bot.heldItem.name}`)
+        } else {
+            this.log('⚠️ No weapon found, starting killing anyway', 'warn')
+        }
+
+        this.killingLoop()
+    }
+
+    stopKilling() {
+        this.state.isKilling = false
+        this.log('🛑 Stopped killing mobs')
+    }
+
+    async killingLoop() {
+        // A stop/start in quick succession must not leave two loops running
+        const loopId = ++this.loopId
+
+        while (loopId === this.loopId && this.state.isKilling && this.attached && this.bot && !this.state.isReconnecting) {
+            try {
+                if (this.owner.isPaused()) {
+                    await this.delay(200)
+                    continue
+                }
+
+                // Knocked back, washed away or teleported: nothing to hit from there
+                if (this.post.isDrifted()) {
+                    await this.post.returnToPost()
+                    continue
+                }
+
+                const target = this.targeting.select(this.bot)
+
+                if (!target) {
+                    await this.loot.tick()
+                    await this.delay(100)
+                    continue
+                }
+
+                this.instantLookAt(target)
+
+                const wait = this.timing.msUntilReady(this.bot)
+                if (wait > 0) {
+                    // Re-pick the target after short waits so we track moving mobs
+                    await this.delay(Math.min(wait, 100))
+                    continue
+                }
+
+                this.bot.attack(target)
+                this.timing.recordAttack(target)
+                this.lastAttack = { id: target.id, at: Date.now() }
+                this.owner.metrics.count('attacks')
+            } catch (err) {
+                this.log(`❌ Killing error: ${err.message}`, 'error')
+                await this.delay(500)
+            }
+        }
+        this.log('⚔️ Killing loop ended')
+    }
+
+    instantLookAt(target) {
+        if (!this.bot || !target) return
+
+        const targetCenter = {
+            x: target.position.x,
+            y: target.position.y + (target.height / 2),
+            z: target.position.z
+        }
+
+        const botEye = {
+            x: this.bot.entity.position.x,
+            y: this.bot.entity.position.y + 1.62,
+            z: this.bot.entity.position.z
+        }
+
+        const dx = targetCenter.x - botEye.x
+        const dy = targetCenter.y - botEye.y
+        const dz = targetCenter.z - botEye.z
+
+        const horizontalDistance = Math.sqrt(dx * dx + dz * dz)
+
+        const yaw = Math.atan2(-dx, -dz)
+        let pitch = Math.atan2(dy, horizontalDistance)
+
+        pitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, pitch))
+
+        this.bot.look(yaw, pitch, true)
+    }
+}
+
+module.exports = KillerRole
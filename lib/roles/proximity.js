@@ -0,0 +1,134 @@
+const Role = require('./role')
+
+const ACTIONS = ['log', 'alert', 'pause', 'disconnect']
+
+const DEFAULTS = {
+    radius: 16,
+    trusted: [],
+    actions: ['log', 'alert', 'pause'],
+    resumeAfter: 30 * 1000,
+    disconnectFor: 5 * 60 * 1000,
+    checkInterval: 1000,
+    historySize: 50
+}
+
+/**
+ * Watches for players near the bot that are not trusted (the `trusted` list
+ * plus every commander) and reacts with the configured actions:
+ *
+ *   log:        warn in the log
+ *   alert:      whisper online commanders and send a playerNearby notification
+ *   pause:      hold still until nobody untrusted was near for resumeAfter
+ *   disconnect: leave the server for disconnectFor
+ *
+ * Server joins and leaves of untrusted players and their comings and goings
+ * around the bot are kept in a short history for the status output.
+ */
+class ProximityRole extends Role {
+    constructor(owner, name, options) {
+        super(owner, name, options)
+        this.options = { ...DEFAULTS, ...this.options }
+
+        const unknown = this.options.actions.filter(action => !ACTIONS.includes(action))
+        if (unknown.length) {
+            throw new Error(`Unknown proximity action ${unknown.join(', ')} (expected one of: ${ACTIONS.join(', ')})`)
+        }
+
+        this.trusted = new Set(this.options.trusted.map(name => name.toLowerCase()))
+        this.nearby = new Map() // username -> when they came close
+        this.lastSeenAt = 0
+        this.history = []
+        this.scanner = null
+    }
+
+    onAttach() {
+        this.listen('playerJoined', (player) => this.onServerEvent('joined', player.username))
+        this.listen('playerLeft', (player) => this.onServerEvent('left', player.username))
+        this.scanner = setInterval(() => this.scan(), this.options.checkInterval)
+        this.log(`👀 Watching for untrusted players within ${this.options.radius} blocks`)
+    }
+
+    onDetach() {
+        clearInterval(this.scanner)
+        this.scanner = null
+        this.nearby.clear()
+        this.owner.resume('playerNearby')
+    }
+
+    getStatus() {
+        return {
+            nearby: [...this.nearby.keys()],
+            recent: this.history.slice(-10)
+        }
+    }
+
+    isTrusted(username) {
+        return username === this.bot.username ||
+            this.trusted.has(username.toLowerCase()) ||
+            Boolean(this.owner.commanders.getRole(username))
+    }
+
+    record(event, username, details = {}) {
+        this.history.push({ at: new Date().toISOString(), event, player: username, ...details })
+        if (this.history.length > this.options.historySize) this.history.shift()
+    }
+
+    onServerEvent(event, username) {
+        if (!username || this.isTrusted(username)) return
+        this.record(event, username)
+        this.log(`${event === 'joined' ? '📥' : '📤'} Untrusted player ${username} ${event} the server`)
+    }
+
+    scan() {
+        if (!this.bot || !this.bot.entity) return
+
+        const position = this.bot.entity.position
+        const close = new Map()
+        for (const entity of Object.values(this.bot.entities)) {
+            if (entity.type !== 'player' || !entity.username || this.isTrusted(entity.username)) continue
+            const distance = position.distanceTo(entity.position)
+            if (distance <= this.options.radius) close.set(entity.username, distance)
+        }
+
+        close.forEach((distance, username) => {
+            if (!this.nearby.has(username)) this.onApproach(username, distance)
+        })
+        this.nearby.forEach((since, username) => {
+            if (!close.has(username)) this.onDepart(username, since)
+        })
+
+        if (close.size) {
+            this.lastSeenAt = Date.now()
+        } else if (this.owner.pauses.has('playerNearby') && Date.now() - this.lastSeenAt >= this.options.resumeAfter) {
+            this.log(`👀 Nobody untrusted nearby for ${Math.round(this.options.resumeAfter / 1000)}s`)
+            this.owner.resume('playerNearby')
+        }
+    }
+
+    onApproach(username, distance) {
+        this.nearby.set(username, Date.now())
+        this.record('approached', username, { distance: Math.round(distance) })
+
+        const actions = this.options.actions
+        const message = `Untrusted player ${username} is ${Math.round(distance)} blocks away`
+        if (actions.includes('log')) this.log(`👀 ${message}`, 'warn')
+        if (actions.includes('alert')) {
+            this.owner.alertCommanders(message)
+            this.owner.notify('playerNearby', message, { player: username, distance: Math.round(distance) })
+        }
+        if (actions.includes('pause')) this.owner.pause('playerNearby')
+        if (actions.includes('disconnect')) {
+            this.log(`🔌 Disconnecting for ${this.options.disconnectFor / 60000} min because ${username} is nearby`)
+            this.owner.scheduleReconnect({ reason: 'playerNearby', delay: this.options.disconnectFor })
+        }
+    }
+
+    onDepart(username, since) {
+        this.nearby.delete(username)
+        const seconds = Math.round((Date.now() - since) / 1000)
+        this.record('departed', username, { seconds })
+        this.log(`👋 ${username} moved away after ${seconds}s`)
+    }
+}
+
+module.exports = ProximityRole
@@ -0,0 +1,66 @@
+/**
+ * Base class for bot behaviours. A role is attached once its bot has joined
+ * the game and detached again when the bot cleans up, so anything it starts
+ * (listeners, loops) must be stopped in detach().
+ */
+class Role {
+    constructor(owner, name, options = {}) {
+        this.owner = owner
+        this.name = name
+        this.options = options
+        this.attached = false
+        this.listeners = []
+    }
+
+    get bot() {
+        return this.owner.bot
+    }
+
+    get state() {
+        return this.owner.state
+    }
+
+    log(message, level) {
+        this.owner.log(message, level)
+    }
+
+    delay(ms) {
+        return this.owner.delay(ms)
+    }
+
+    // Register a bot listener that is removed automatically on detach
+    listen(event, listener) {
+        this.bot.on(event, listener)
+        this.listeners.push({ event, listener })
+    }
+
+    attach() {
+        if (this.attached) return
+        this.attached = true
+        this.onAttach()
+    }
+
+    detach() {
+        if (!this.attached) return
+        this.attached = false
+
+        if (this.bot) {
+            this.listeners.forEach(({ event, listener }) => {
+                this.bot.removeListener(event, listener)
+            })
+        }
+        this.listeners = []
+        this.onDetach()
+    }
+
+    // Extra fields for the bot status (API, status command); null for none
+    getStatus() {
+        return null
+    }
+
+    onAttach() {}
+
+    onDetach() {}
+}
+
+module.exports = Role
@@ -0,0 +1,169 @@
+const Role = require('./role')
+
+const LOW_HEALTH_ACTIONS = ['retreat', 'stop', 'disconnect']
+const DEATH_ACTIONS = ['reconnect', 'rejoin', 'stay']
+
+const DEFAULTS = {
+    foods: [
+        'golden_carrot', 'cooked_beef', 'cooked_porkchop', 'cooked_mutton', 'cooked_salmon',
+        'cooked_chicken', 'cooked_cod', 'baked_potato', 'bread', 'carrot', 'apple'
+    ],
+    hungerThreshold: 14,
+    healthThreshold: 8,
+    resumeHealth: 16,
+    onLowHealth: 'retreat',
+    retreatDistance: 6,
+    disconnectFor: 5 * 60 * 1000,
+    onDeath: 'reconnect'
+}
+
+/**
+ * Keeps a bot alive: eats when hungry, backs off when health runs low and
+ * recovers after a death. Works alongside any other role; while it is busy
+ * it pauses the bot so the killer doesn't attack mid-meal or at half a heart.
+ */
+class SelfCareRole extends Role {
+    constructor(owner, name, options) {
+        super(owner, name, options)
+        this.options = { ...DEFAULTS, ...this.options }
+
+        if (!LOW_HEALTH_ACTIONS.includes(this.options.onLowHealth)) {
+            throw new Error(`Unknown onLowHealth action "${this.options.onLowHealth}" (expected one of: ${LOW_HEALTH_ACTIONS.join(', ')})`)
+        }
+        if (!DEATH_ACTIONS.includes(this.options.onDeath)) {
+            throw new Error(`Unknown onDeath action "${this.options.onDeath}" (expected one of: ${DEATH_ACTIONS.join(', ')})`)
+        }
+
+        this.eating = false
+        this.recovering = false
+        this.retreatedFrom = null
+        this.warnedNoFood = false
+    }
+
+    onAttach() {
+        this.listen('health', () => this.onHealthChange())
+        this.listen('death', () => this.onDeath())
+        this.onHealthChange()
+    }
+
+    onDetach() {
+        this.eating = false
+        this.recovering = false
+        this.retreatedFrom = null
+        this.owner.resume('eating')
+        this.owner.resume('lowHealth')
+    }
+
+    getStatus() {
+        return { eating: this.eating, recovering: this.recovering }
+    }
+
+    onHealthChange() {
+        if (!this.bot || this.bot.health <= 0) return
+
+        if (this.bot.health <= this.options.healthThreshold && !this.recovering) {
+            this.onLowHealth()
+        } else if (this.recovering && this.bot.health >= this.options.resumeHealth) {
+            this.onRecovered()
+        }
+
+        if (this.bot.food <= this.options.hungerThreshold && !this.eating) {
+            this.eat()
+        }
+    }
+
+    findFood() {
+        const items = this.bot.inventory.items()
+        for (const name of this.options.foods) {
+            const item = items.find(i => i.name === name)
+            if (item) return item
+        }
+        return null
+    }
+
+    async eat() {
+        const food = this.findFood()
+        if (!food) {
+            if (!this.warnedNoFood) {
+                this.warnedNoFood = true
+                this.log(`⚠️ Hungry (${this.bot.food}/20) but no food in inventory`, 'warn')
+                this.owner.alertCommanders(`Hungry (${this.bot.food}/20) and out of food`)
+            }
+            return
+        }
+        this.warnedNoFood = false
+
+        this.eating = true
+        this.owner.pause('eating')
+        try {
+            await this.bot.equip(food, 'hand')
+            await this.bot.consume()
+            this.log(`🍖 Ate ${food.name} (food ${this.bot.food}/20)`)
+        } catch (err) {
+            this.log(`⚠️ Failed to eat ${food.name}: ${err.message}`, 'warn')
+        } finally {
+            this.eating = false
+            this.owner.resume('eating')
+        }
+    }
+
+    async onLowHealth() {
+        this.recovering = true
+        this.owner.pause('lowHealth')
+
+        const health = Math.round(this.bot.health)
+        this.log(`🩸 Low health (${health}/20), action: ${this.options.onLowHealth}`)
+        this.owner.alertCommanders(`Low health (${health}/20), ${this.options.onLowHealth}`)
+
+        if (this.options.onLowHealth === 'disconnect') {
+            this.log(`🔌 Disconnecting for ${this.options.disconnectFor / 60000} min to stay alive`)
+            this.owner.scheduleReconnect({ reason: 'lowHealth', delay: this.options.disconnectFor })
+        } else if (this.options.onLowHealth === 'retreat') {
+            await this.retreat()
+        }
+    }
+
+    // Walk directly away from the nearest hostile mob
+    async retreat() {
+        const threat = this.bot.nearestEntity(entity => entity.type === 'hostile' || entity.kind === 'Hostile mobs')
+        if (!threat) return
+
+        const position = this.bot.entity.position
+        const away = position.minus(threat.position)
+        away.y = 0
+        if (away.norm() === 0) return
+
+        this.retreatedFrom = position.clone()
+        const destination = position.plus(away.normalize().scaled(this.options.retreatDistance))
+        this.log(`🏃 Retreating from ${threat.name}`)
+        await this.owner.walkTo(destination, { range: 1, timeout: 5000 })
+    }
+
+    async onRecovered() {
+        this.recovering = false
+        this.log(`💚 Health recovered (${Math.round(this.bot.health)}/20)`)
+
+        if (this.retreatedFrom) {
+            const spot = this.retreatedFrom
+            this.retreatedFrom = null
+            await this.owner.walkTo(spot, { range: 0.5, timeout: 5000 })
+        }
+        this.owner.resume('lowHealth')
+    }
+
+    onDeath() {
+        this.log(`💀 Died, action: ${this.options.onDeath}`)
+        this.owner.alertCommanders(`Died, ${this.options.onDeath === 'stay' ? 'respawning' : this.options.onDeath + 'ing'}`)
+        this.recovering = false
+        this.retreatedFrom = null
+        this.owner.resume('lowHealth')
+
+        if (this.options.onDeath === 'reconnect') {
+            this.owner.scheduleReconnect()
+        } else if (this.options.onDeath === 'rejoin') {
+            this.owner.rejoin()
+        }
+    }
+}
+
+module.exports = SelfCareRole
@@ -0,0 +1,135 @@
+// Entity types (from minecraft-data) that count as mobs. 'passive' (villagers,
+// traders) and 'living' (armor stands) are left out unless configured.
+const DEFAULT_TYPES = ['mob', 'hostile', 'animal', 'ambient', 'water_creature']
+
+const DEFAULTS = {
+    maxRange: 6,
+    verticalRange: 3,
+    types: DEFAULT_TYPES,
+    whitelist: [],
+    blacklist: [],
+    skipNamed: true,
+    skipBabies: false,
+    priority: ['nearest']
+}
+
+function isHostile(entity) {
+    return entity.type === 'hostile' || entity.kind === 'Hostile mobs'
+}
+
+/**
+ * Ways to order candidates. Each compares two { entity, distance } entries
+ * and returns < 0 when `a` should be attacked first, 0 when they tie.
+ */
+const PRIORITIES = {
+    nearest: (a, b) => a.distance - b.distance,
+    farthest: (a, b) => b.distance - a.distance,
+    hostile: (a, b) => Number(isHostile(b.entity)) - Number(isHostile(a.entity)),
+    passive: (a, b) => Number(isHostile(a.entity)) - Number(isHostile(b.entity)),
+    lowestHealth: (a, b) => (a.health ?? Infinity) - (b.health ?? Infinity),
+    highestHealth: (a, b) => (b.health ?? -Infinity) - (a.health ?? -Infinity)
+}
+
+function normalizeNames(names) {
+    return (names || []).map(name => name.toLowerCase())
+}
+
+/**
+ * Decides which mob the killer attacks next. Options can be changed while
+ * the bot is running with update().
+ */
+class TargetPolicy {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS }
+        this.update(options)
+    }
+
+    update(changes) {
+        const next = { ...this.options, ...changes }
+
+        if (!Number.isFinite(next.maxRange) || next.maxRange <= 0) {
+            throw new Error('maxRange must be a positive number')
+        }
+        if (!Number.isFinite(next.verticalRange) || next.verticalRange < 0) {
+            throw new Error('verticalRange must be zero or a positive number')
+        }
+        const unknown = (next.priority || []).filter(name => !PRIORITIES[name])
+        if (unknown.length) {
+            throw new Error(`Unknown priority ${unknown.join(', ')} (expected: ${Object.keys(PRIORITIES).join(', ')})`)
+        }
+
+        next.whitelist = normalizeNames(next.whitelist)
+        next.blacklist = normalizeNames(next.blacklist)
+        this.options = next
+        return this.options
+    }
+
+    // Read a named metadata field; returns undefined on versions without metadata names
+    getMetadata(bot, entity, key) {
+        const keys = bot.registry.entitiesByName[entity.name]?.metadataKeys
+        if (!keys || !entity.metadata) return undefined
+        const index = keys.indexOf(key)
+        return index === -1 ? undefined : entity.metadata[index]
+    }
+
+    matches(bot, entity) {
+        const { types, whitelist, blacklist, skipNamed, skipBabies } = this.options
+        const name = (entity.name || '').toLowerCase()
+
+        if (!types.includes(entity.type)) return false
+        if (whitelist.length && !whitelist.includes(name)) return false
+        if (blacklist.includes(name)) return false
+
+        if (skipNamed) {
+            const customName = this.getMetadata(bot, entity, 'custom_name') ?? entity.metadata?.[2]
+            if (customName) return false
+        }
+        if (skipBabies && this.getMetadata(bot, entity, 'baby')) return false
+
+        return true
+    }
+
+    inRange(bot, entity) {
+        const position = bot.entity.position
+        return position.distanceTo(entity.position) <= this.options.maxRange &&
+            Math.abs(entity.position.y - position.y) <= this.options.verticalRange
+    }
+
+    select(bot) {
+        const candidates = []
+
+        for (const entity of Object.values(bot.entities)) {
+            if (entity === bot.entity || !entity.position) continue
+            if (!this.matches(bot, entity) || !this.inRange(bot, entity)) continue
+
+            candidates.push({
+                entity,
+                distance: bot.entity.position.distanceTo(entity.position),
+                health: this.getMetadata(bot, entity, 'health')
+            })
+        }
+
+        if (!candidates.length) return null
+
+        const comparators = [...this.options.priority, 'nearest'].map(name => PRIORITIES[name])
+        candidates.sort((a, b) => {
+            for (const compare of comparators) {
+                const result = compare(a, b)
+                if (result) return result
+            }
+            return 0
+        })
+
+        return candidates[0].entity
+    }
+
+    describe() {
+        const { maxRange, verticalRange, whitelist, blacklist, skipNamed, skipBabies, priority } = this.options
+        return `range ${maxRange}/${verticalRange}, priority ${priority.join('>')}` +
+            (whitelist.length ? `, only ${whitelist.join(',')}` : '') +
+            (blacklist.length ? `, never ${blacklist.join(',')}` : '') +
+            `, named ${skipNamed ? 'skipped' : 'attacked'}, babies ${skipBabies ? 'skipped' : 'attacked'}`
+    }
+}
+
+module.exports = { TargetPolicy, PRIORITIES }
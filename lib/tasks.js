@@ -0,0 +1,302 @@
+const fs = require('fs')
+const { parseTime, DAY } = require('./restart')
+
+const ACTIONS = ['command', 'hold', 'drop', 'tpa']
+
+const TASK_DEFAULTS = {
+    timeout: 10 * 1000,
+    retryAfter: 10 * 60 * 1000
+}
+
+const CHECK_INTERVAL = 30 * 1000
+
+/**
+ * When each bot's tasks last ran, kept in a JSON file so a restart or
+ * reconnect doesn't claim /daily twice. One instance is shared by the fleet
+ * and written on every change (tasks run rarely).
+ */
+class TaskStore {
+    constructor(filePath, { logger } = {}) {
+        this.filePath = filePath
+        this.logger = logger
+        this.bots = {}
+
+        try {
+            this.bots = JSON.parse(fs.readFileSync(filePath, 'utf8')).bots || {}
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw new Error(`Tasks file ${filePath} is invalid: ${err.message}`)
+            }
+        }
+    }
+
+    get(bot, task) {
+        if (!this.bots[bot]) this.bots[bot] = {}
+        if (!this.bots[bot][task]) this.bots[bot][task] = { lastRun: null, lastAttempt: null, lastResult: null }
+        return this.bots[bot][task]
+    }
+
+    save() {
+        try {
+            // Write then rename so a crash mid-write can't leave half a file
+            const temp = `${this.filePath}.tmp`
+            fs.writeFileSync(temp, JSON.stringify({ savedAt: new Date().toISOString(), bots: this.bots }, null, 4) + '\n')
+            fs.renameSync(temp, this.filePath)
+        } catch (err) {
+            this.logger.error(`❌ Failed to save task times: ${err.message}`)
+        }
+    }
+}
+
+/**
+ * Runs a bot's recurring chores while it is in game. Each task is
+ *   { name, command | action, every | at, expect, fail, timeout, retryAfter }
+ *
+ *   command:    chat line or server command to send ("/daily")
+ *   action:     built-in instead of a command: "hold" or "drop" an `item`,
+ *               or "tpa" to a `player`
+ *   every:      milliseconds between runs
+ *   at:         local time(s) of day, "09:00" or ["09:00", "21:00"]; a new
+ *               task waits for the next of these times, and a time missed
+ *               while offline runs as soon as the bot is back
+ *   expect:     regex a system line must match within `timeout` of the
+ *               command going out for the run to count as done
+ *   fail:       regex of a line that means it didn't work
+ *   retryAfter: wait this long before trying a failed task again
+ *
+ * Only successful runs move the last-run time, which is persisted in the
+ * TaskStore.
+ */
+class TaskScheduler {
+    constructor(owner, tasks = [], store) {
+        this.owner = owner
+        this.store = store
+        this.tasks = tasks.map((task, i) => this.buildTask(task, i))
+        this.tasks.forEach((task, i) => {
+            if (this.tasks.findIndex(other => other.name === task.name) !== i) {
+                throw new Error(`tasks[${i}]: duplicate task name "${task.name}"`)
+            }
+        })
+        this.timer = null
+        this.generation = 0 // bumped by stop() so a check still running from the last session ends there
+        this.running = null
+        this.response = null // waitForResponse() of the running task
+    }
+
+    get bot() {
+        return this.owner.bot
+    }
+
+    log(message, level) {
+        this.owner.log(message, level)
+    }
+
+    buildTask(task, index) {
+        const where = `tasks[${index}]${task.name ? ` (${task.name})` : ''}`
+        if (!task.name || typeof task.name !== 'string') throw new Error(`${where}: "name" is required`)
+
+        const action = task.command !== undefined ? 'command' : task.action
+        if (!ACTIONS.includes(action)) {
+            throw new Error(`${where}: needs a "command" or an "action" (one of: ${ACTIONS.slice(1).join(', ')})`)
+        }
+        if (action === 'command' && (typeof task.command !== 'string' || !task.command.trim())) {
+            throw new Error(`${where}: "command" must be a chat line`)
+        }
+        if (['hold', 'drop'].includes(action) && !task.item) throw new Error(`${where}: "${action}" needs an "item"`)
+        if (action === 'tpa' && !task.player) throw new Error(`${where}: "tpa" needs a "player"`)
+
+        if ((task.every === undefined) === (task.at === undefined)) {
+            throw new Error(`${where}: set either "every" or "at"`)
+        }
+        if (task.every !== undefined && (!Number.isFinite(task.every) || task.every <= 0)) {
+            throw new Error(`${where}: "every" must be a positive number of milliseconds`)
+        }
+        const times = task.at === undefined ? [] : [].concat(task.at).map(time => parseTime(time, `${where}.at`))
+
+        const regex = (field) => {
+            if (task[field] === undefined) return null
+            try {
+                return new RegExp(task[field], 'i')
+            } catch (err) {
+                throw new Error(`${where}.${field} is not a valid regex: ${err.message}`)
+            }
+        }
+
+        return { ...TASK_DEFAULTS, ...task, action, times, expect: regex('expect'), fail: regex('fail') }
+    }
+
+    state(task) {
+        return this.store.get(this.owner.name, task.name)
+    }
+
+    // Most recent scheduled time of an "at" task at or before `now`
+    lastOccurrence(task, now) {
+        const date = new Date(now)
+        const midnight = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime()
+        return Math.max(...task.times.map(minutes => {
+            const time = midnight + minutes * 60 * 1000
+            return time <= now ? time : time - DAY
+        }))
+    }
+
+    isDue(task, now = Date.now()) {
+        const { lastRun, lastAttempt, firstSeen } = this.state(task)
+        if (lastAttempt && lastAttempt > (lastRun || 0) && now - lastAttempt < task.retryAfter) return false
+        // An "at" task that never ran waits for its first time after it was added
+        if (!lastRun) return task.every ? true : Boolean(firstSeen) && this.lastOccurrence(task, now) > firstSeen
+        return task.every ? now - lastRun >= task.every : lastRun < this.lastOccurrence(task, now)
+    }
+
+    nextRun(task, now = Date.now()) {
+        if (this.isDue(task, now)) return now
+        const { lastRun, lastAttempt } = this.state(task)
+        if (lastAttempt && lastAttempt > (lastRun || 0)) return lastAttempt + task.retryAfter
+        return task.every ? lastRun + task.every : this.lastOccurrence(task, now) + DAY
+    }
+
+    // Called once the bot has joined
+    start() {
+        this.stop()
+        const unseen = this.tasks.map(task => this.state(task)).filter(state => !state.firstSeen)
+        unseen.forEach(state => { state.firstSeen = Date.now() })
+        if (unseen.length) this.store.save()
+        if (this.tasks.length) this.schedule(5000)
+    }
+
+    stop() {
+        this.generation++
+        if (this.response) this.response.cancel(new Error('bot went offline'))
+        if (this.timer) {
+            clearTimeout(this.timer)
+            this.owner.timeouts.delete(this.timer)
+            this.timer = null
+        }
+    }
+
+    schedule(delay) {
+        const generation = this.generation
+        this.timer = setTimeout(async () => {
+            this.owner.timeouts.delete(this.timer)
+            this.timer = null
+            await this.check(generation)
+            if (generation === this.generation) this.schedule(CHECK_INTERVAL)
+        }, delay)
+        this.owner.timeouts.add(this.timer)
+    }
+
+    async check(generation) {
+        for (const task of this.tasks) {
+            // Chores wait while the bot eats, flees or hides
+            if (generation !== this.generation || !this.bot || this.owner.isPaused()) return
+            if (this.isDue(task)) await this.run(task)
+        }
+    }
+
+    async run(task) {
+        const state = this.state(task)
+        state.lastAttempt = Date.now()
+        this.running = task.name
+        this.log(`📅 Running task ${task.name}`)
+
+        const response = task.expect || task.fail ? this.waitForResponse(task) : null
+        this.response = response
+        try {
+            if (!await this.perform(task, () => response && response.start())) throw new Error(`${task.action} did not go through`)
+            if (response) await response
+            state.lastRun = Date.now()
+            state.lastResult = 'ok'
+            this.log(`✅ Task ${task.name} done`)
+        } catch (err) {
+            state.lastResult = err.message
+            this.log(`⚠️ Task ${task.name} failed: ${err.message}, retrying in ${Math.round(task.retryAfter / 60000)} min`, 'warn')
+            // perform() failed first
+            if (response) response.cancel()
+        } finally {
+            this.running = null
+            this.response = null
+            this.store.save()
+        }
+    }
+
+    // Calls onSent once the action is done, or for chat once the line has left the queue
+    async perform(task, onSent) {
+        switch (task.action) {
+            case 'command':
+                return this.owner.chat(task.command, { onSent })
+            case 'hold': {
+                const held = await this.owner.holdItem(task.item)
+                onSent()
+                return held
+            }
+            case 'drop':
+                await this.owner.dropItems(task.item)
+                onSent()
+                return true
+            case 'tpa':
+                return this.owner.chat(`/tpa ${task.player}`, { onSent })
+        }
+    }
+
+    /**
+     * Settles on the first system line matching `expect` or `fail`, or
+     * `timeout` after start() is called. Player chat is ignored since anyone
+     * could type the expected words. cancel(err) stops listening and rejects
+     * with err, or leaves the promise pending without one.
+     */
+    waitForResponse(task) {
+        const bot = this.bot
+        let start, cancel
+        const promise = new Promise((resolve, reject) => {
+            let timer = null
+            let done = false
+            const stopListening = () => {
+                done = true
+                clearTimeout(timer)
+                this.owner.timeouts.delete(timer)
+                bot.removeListener('message', onMessage)
+            }
+            const finish = (err) => {
+                stopListening()
+                if (err) reject(err)
+                else resolve()
+            }
+            const onMessage = (jsonMsg, position) => {
+                if (position === 'chat') return
+                const text = jsonMsg.toString()
+                if (task.fail && task.fail.test(text)) finish(new Error(`server said "${text}"`))
+                else if (task.expect && task.expect.test(text)) finish()
+            }
+            start = () => {
+                if (timer || done) return
+                // Without `expect`, silence means nothing went wrong
+                timer = setTimeout(() => finish(task.expect ? new Error('no matching response') : null), task.timeout)
+                this.owner.timeouts.add(timer)
+            }
+            cancel = (err) => {
+                stopListening()
+                if (err) reject(err)
+            }
+            bot.on('message', onMessage)
+        })
+        // It can reject (fail line, stop()) while run() still awaits perform(); run() awaits it afterwards
+        promise.catch(() => {})
+        return Object.assign(promise, { start, cancel })
+    }
+
+    getStatus() {
+        if (!this.tasks.length) return null
+        const now = Date.now()
+        return this.tasks.map(task => {
+            const { lastRun, lastResult } = this.state(task)
+            return {
+                name: task.name,
+                running: this.running === task.name,
+                lastRun: lastRun ? new Date(lastRun).toISOString() : null,
+                lastResult,
+                next: new Date(this.nextRun(task, now)).toISOString()
+            }
+        })
+    }
+}
+
+module.exports = { TaskStore, TaskScheduler }
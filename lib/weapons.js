@@ -0,0 +1,186 @@
+const { ATTACK_SPEEDS } = require('./attackTiming')
+
+const MATERIALS = ['wooden', 'golden', 'stone', 'iron', 'diamond', 'netherite']
+
+// Base attack damage by weapon type and material (1.9+ values)
+const BASE_DAMAGE = {
+    sword: { wooden: 4, golden: 4, stone: 5, iron: 6, diamond: 7, netherite: 8 },
+    axe: { wooden: 7, golden: 7, stone: 9, iron: 9, diamond: 9, netherite: 10 },
+    trident: 9,
+    mace: 6
+}
+
+// Before 1.9 swords hit harder than axes
+const LEGACY_BASE_DAMAGE = {
+    sword: { wooden: 5, golden: 5, stone: 6, iron: 7, diamond: 8 },
+    axe: { wooden: 4, golden: 4, stone: 5, iron: 6, diamond: 7 }
+}
+
+// Bonus damage per enchantment level. Mob-specific enchantments count half
+// because they only apply to part of what the farm spawns.
+const ENCHANT_DAMAGE = {
+    sharpness: (level) => 0.5 * level + 0.5,
+    smite: (level) => 1.25 * level,
+    bane_of_arthropods: (level) => 1.25 * level,
+    fire_aspect: (level) => 0.5 * level,
+    looting: (level) => 0.25 * level
+}
+
+const DEFAULTS = {
+    types: ['sword', 'axe'],
+    minDurability: 5,
+    mendingReserve: 0,
+    checkInterval: 2000
+}
+
+function getWeaponType(name) {
+    if (name === 'trident' || name === 'mace') return name
+    const [material, type] = name.split('_')
+    return MATERIALS.includes(material) && BASE_DAMAGE[type] ? type : null
+}
+
+function getEnchants(item) {
+    try {
+        return item.enchants || []
+    } catch (err) {
+        return []
+    }
+}
+
+/**
+ * Keeps the best usable weapon in the killer's hand: scores weapons by
+ * damage per second including enchantments, swaps out weapons that are
+ * about to break, and re-equips when the held item changes.
+ */
+class WeaponManager {
+    constructor(owner, options = {}) {
+        this.owner = owner
+        this.options = { ...DEFAULTS, ...options }
+        const unknown = this.options.types.filter(type => !BASE_DAMAGE[type])
+        if (unknown.length) {
+            throw new Error(`Unknown weapon type ${unknown.join(', ')} (expected: ${Object.keys(BASE_DAMAGE).join(', ')})`)
+        }
+        this.equipping = false
+        this.warnedNoWeapon = false
+    }
+
+    get bot() {
+        return this.owner.bot
+    }
+
+    // Durability points left before we stop using the item, or Infinity
+    getUsesLeft(item) {
+        if (!item.maxDurability) return Infinity
+
+        const enchants = getEnchants(item)
+        const reserve = enchants.some(e => e.name === 'mending')
+            ? Math.max(this.options.minDurability, this.options.mendingReserve)
+            : this.options.minDurability
+
+        return item.maxDurability - (item.durabilityUsed || 0) - reserve
+    }
+
+    isWornOut(item) {
+        return Boolean(getWeaponType(item.name)) && this.getUsesLeft(item) <= 0
+    }
+
+    isUsable(item) {
+        const type = item && getWeaponType(item.name)
+        return Boolean(type) && this.options.types.includes(type) && this.getUsesLeft(item) > 0
+    }
+
+    score(item) {
+        const hasCooldown = this.bot.registry.version['>=']('1.9')
+        const table = hasCooldown ? BASE_DAMAGE : LEGACY_BASE_DAMAGE
+        const type = getWeaponType(item.name)
+        const base = typeof table[type] === 'number'
+            ? table[type]
+            : (table[type] || {})[item.name.split('_')[0]] || 1
+
+        const damage = getEnchants(item).reduce((total, { name, lvl }) => {
+            const bonus = ENCHANT_DAMAGE[name]
+            return total + (bonus ? bonus(lvl) : 0)
+        }, base)
+
+        // Without an attack cooldown (1.8) only the damage per hit matters
+        return hasCooldown ? damage * ATTACK_SPEEDS[item.name] : damage
+    }
+
+    findBest() {
+        let best = null
+        let bestScore = -Infinity
+
+        for (const item of this.bot.inventory.items()) {
+            if (!this.isUsable(item)) continue
+            const score = this.score(item)
+            if (score > bestScore) {
+                best = item
+                bestScore = score
+            }
+        }
+
+        return best
+    }
+
+    // Equip the best weapon if the held one is unusable or a better one exists
+    async check() {
+        if (this.equipping || !this.bot || !this.bot.inventory) return false
+
+        const held = this.bot.heldItem
+        const best = this.findBest()
+
+        if (!best) {
+            this.warnNoWeapon()
+            if (held && this.isWornOut(held)) await this.putAway(held)
+            return false
+        }
+        this.warnedNoWeapon = false
+
+        if (held && held.slot === best.slot) return true
+        if (this.isUsable(held) && this.score(held) >= this.score(best)) return true
+
+        this.equipping = true
+        try {
+            if (held && this.isWornOut(held)) {
+                this.log(`🔧 ${held.name} is nearly broken, swapping`)
+            }
+            await this.bot.equip(best, 'hand')
+            this.owner.state.lastHeldItem = best.name
+            this.log(`🗡️ Equipped ${best.name}`)
+            return true
+        } catch (err) {
+            this.log(`⚠️ Failed to equip ${best.name}: ${err.message}`, 'warn')
+            return false
+        } finally {
+            this.equipping = false
+        }
+    }
+
+    // Stop swinging a worn-out weapon so it doesn't break (and Mending can repair it)
+    async putAway(item) {
+        this.equipping = true
+        try {
+            await this.bot.unequip('hand')
+            this.owner.state.lastHeldItem = null
+            this.log(`🔧 Put away ${item.name} to keep it from breaking`)
+        } catch (err) {
+            this.log(`⚠️ Failed to put away ${item.name}: ${err.message}`, 'warn')
+        } finally {
+            this.equipping = false
+        }
+    }
+
+    warnNoWeapon() {
+        if (this.warnedNoWeapon) return
+        this.warnedNoWeapon = true
+        this.log('⚠️ No usable weapon left in inventory', 'warn')
+        this.owner.alertCommanders('No usable weapon left in inventory')
+        this.owner.notify('noWeapon', 'No usable weapon left in inventory')
+    }
+
+    log(message, level) {
+        this.owner.log(message, level)
+    }
+}
+
+module.exports = { WeaponManager }
@@ -0,0 +1,28 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { parseCommand } = require('../lib/commands')
+
+test('a prefixed line splits into name and arguments', () => {
+    assert.deepStrictEqual(parseCommand('!kill start'), { target: null, name: 'kill', args: ['start'] })
+    assert.deepStrictEqual(parseCommand('  !STATUS  '), { target: null, name: 'status', args: [] })
+    assert.deepStrictEqual(parseCommand('!say  hello   there'), { target: null, name: 'say', args: ['hello', 'there'] })
+})
+
+test('arguments keep their case, names and targets do not', () => {
+    assert.deepStrictEqual(parseCommand('!@Farm1 Commanders add Steve owner'), {
+        target: 'farm1',
+        name: 'commanders',
+        args: ['add', 'Steve', 'owner']
+    })
+})
+
+test('lines that are not commands give null', () => {
+    assert.strictEqual(parseCommand('hello !kill'), null)
+    assert.strictEqual(parseCommand('!'), null)
+    assert.strictEqual(parseCommand('!@farm1'), null, 'a target alone is not a command')
+})
+
+test('a custom prefix replaces the default one', () => {
+    assert.deepStrictEqual(parseCommand('.bot status', '.bot'), { target: null, name: 'status', args: [] })
+    assert.strictEqual(parseCommand('!status', '.bot'), null)
+})
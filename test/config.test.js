@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { loadFleetConfig, createBotOptions } = require('../lib/config')
+
+const roles = ['killer', 'idle']
+
+let dir
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fleet-config-'))
+})
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+function writeConfig(name, config) {
+    const filePath = path.join(dir, name)
+    fs.writeFileSync(filePath, typeof config === 'string' ? config : JSON.stringify(config))
+    return filePath
+}
+
+test('bots are merged over defaults and paths resolve next to the file', () => {
+    const config = loadFleetConfig(writeConfig('fleet.json', {
+        defaults: { host: 'play.example.net', version: '1.20.1' },
+        commandersFile: 'data/commanders.json',
+        chatRelay: { file: 'logs/chat.log' },
+        bots: [
+            { name: 'farm1', username: 'Farmer1', role: 'killer' },
+            { name: 'afk', username: 'Afk1', roles: ['idle'], port: 25566 }
+        ]
+    }), { roles })
+
+    assert.deepStrictEqual(config.bots.map(bot => [bot.name, bot.host, bot.port, bot.roles]), [
+        ['farm1', 'play.example.net', 25565, ['killer']],
+        ['afk', 'play.example.net', 25566, ['idle']]
+    ])
+    assert.strictEqual(config.bots[0].reconnectDelay, 10 * 1000, 'built-in defaults apply too')
+    assert.strictEqual(config.commandersFile, path.join(dir, 'data', 'commanders.json'))
+    assert.strictEqual(config.metricsFile, path.join(dir, 'metrics.json'))
+    assert.strictEqual(config.chatRelay.file, path.join(dir, 'logs', 'chat.log'))
+})
+
+test('${VAR} placeholders are filled from the environment', () => {
+    process.env.FLEET_TEST_PASSWORD = 'hunter2'
+    try {
+        const config = loadFleetConfig(writeConfig('env.json', {
+            bots: [{ name: 'farm1', username: 'Farmer1', role: 'killer', host: 'localhost', password: 'pw-${FLEET_TEST_PASSWORD}' }]
+        }), { roles })
+        assert.strictEqual(config.bots[0].password, 'pw-hunter2')
+    } finally {
+        delete process.env.FLEET_TEST_PASSWORD
+    }
+
+    assert.throws(() => loadFleetConfig(writeConfig('missing-env.json', {
+        bots: [{ name: 'farm1', username: 'Farmer1', role: 'killer', host: 'localhost', password: '${FLEET_TEST_UNSET}' }]
+    }), { roles }), /config\.bots\[0\]\.password: environment variable FLEET_TEST_UNSET is not set/)
+})
+
+test('every problem is listed in one error', () => {
+    let error
+    try {
+        loadFleetConfig(writeConfig('invalid.json', {
+            api: { port: 70000 },
+            reconnectStagger: -1,
+            bots: [
+                { name: 'farm1', role: 'miner', host: 'localhost', port: 0 },
+                { name: 'farm1', username: 'Farmer2', role: 'killer', host: 'localhost', reconnectDelay: 0 }
+            ]
+        }), { roles })
+    } catch (err) {
+        error = err
+    }
+
+    assert.ok(error, 'loading should fail')
+    for (const problem of [
+        'api: "port" must be an integer between 1 and 65535',
+        'config: "reconnectStagger" must be a number of milliseconds',
+        'bots[0] (farm1): unknown role "miner"',
+        'bots[0] (farm1): "username" is required',
+        'bots[0] (farm1): "port" must be an integer',
+        'bots[1] (farm1): "reconnectDelay" must be a positive number',
+        'bots[1]: duplicate name "farm1"'
+    ]) {
+        assert.ok(error.message.includes(problem), `missing: ${problem}\n${error.message}`)
+    }
+})
+
+test('missing or broken files get a clear error', () => {
+    assert.throws(() => loadFleetConfig(path.join(dir, 'nope.json'), { roles }), /Fleet config not found/)
+    assert.throws(() => loadFleetConfig(writeConfig('broken.json', '{ "bots": ['), { roles }), /is not valid JSON/)
+    assert.throws(() => loadFleetConfig(writeConfig('empty.json', { bots: [] }), { roles }), /"bots" must be a non-empty list/)
+})
+
+test('createBotOptions validates a bot added at runtime', () => {
+    const fleetConfig = { defaults: { host: 'localhost' } }
+
+    const bot = createBotOptions(fleetConfig, { name: 'extra', username: 'Extra', roles: ['idle'] }, { roles })
+    assert.strictEqual(bot.host, 'localhost')
+    assert.throws(() => createBotOptions(fleetConfig, { name: 'extra', roles: ['idle'] }, { roles }), /extra: "username" is required/)
+})
@@ -0,0 +1,121 @@
+const { test, before, after, beforeEach } = require('node:test')
+const assert = require('node:assert')
+const http = require('http')
+const { Notifier } = require('../lib/notify')
+
+// Local stand-in for the webhooks: records every POST by path
+let server
+let baseUrl
+let received = []
+
+const logger = { debug() {}, warn() {} }
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = ''
+        req.on('data', chunk => { body += chunk })
+        req.on('end', () => {
+            received.push({ path: req.url, type: req.headers['content-type'], body: JSON.parse(body) })
+            res.writeHead(204)
+            res.end()
+        })
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+after(() => new Promise(resolve => server.close(resolve)))
+
+beforeEach(() => {
+    received = []
+})
+
+function createNotifier(options = {}) {
+    return new Notifier({
+        webhooks: [
+            { url: `${baseUrl}/json`, format: 'json' },
+            { url: `${baseUrl}/discord`, format: 'discord', events: ['death', 'banned'] }
+        ],
+        ...options
+    }, logger)
+}
+
+test('posts the generic JSON payload', async () => {
+    await createNotifier().notify('killer', 'kicked', 'Kicked: flying', { reason: 'kicked' })
+
+    assert.strictEqual(received.length, 1)
+    const [{ path, type, body }] = received
+    assert.strictEqual(path, '/json')
+    assert.strictEqual(type, 'application/json')
+    assert.deepStrictEqual({ ...body, time: undefined }, {
+        bot: 'killer',
+        event: 'kicked',
+        message: 'Kicked: flying',
+        fields: { reason: 'kicked' },
+        time: undefined
+    })
+    assert.ok(!Number.isNaN(Date.parse(body.time)))
+})
+
+test('posts a Discord embed to Discord webhooks', async () => {
+    await createNotifier().notify('killer', 'death', 'Died', { position: '1 64 2' })
+
+    const discord = received.find(request => request.path === '/discord')
+    assert.ok(discord, 'the Discord webhook was called')
+    assert.strictEqual(discord.body.username, 'KillingBot')
+    const [embed] = discord.body.embeds
+    assert.strictEqual(embed.title, 'killer: death')
+    assert.strictEqual(embed.description, 'Died')
+    assert.strictEqual(embed.color, 0xe74c3c)
+    assert.deepStrictEqual(embed.fields, [{ name: 'position', value: '1 64 2', inline: true }])
+    assert.ok(received.some(request => request.path === '/json'), 'the JSON webhook got it too')
+})
+
+test('per-webhook event lists and fleet-wide toggles', async () => {
+    const notifier = createNotifier({ events: { lowHealth: false } })
+
+    await notifier.notify('killer', 'lowHealth', 'Low health (4/20)')
+    assert.strictEqual(received.length, 0, 'toggled off events are not sent')
+
+    await notifier.notify('killer', 'noWeapon', 'No weapon')
+    assert.deepStrictEqual(received.map(request => request.path), ['/json'], 'Discord only gets its own events')
+})
+
+test('cooldown per bot and event', async () => {
+    const notifier = createNotifier({ cooldown: 60 * 1000 })
+
+    await notifier.notify('killer', 'kicked', 'first')
+    await notifier.notify('killer', 'kicked', 'second')
+    await notifier.notify('idle1', 'kicked', 'other bot')
+    await notifier.notify('killer', 'reconnecting', 'other event')
+
+    assert.deepStrictEqual(received.map(request => request.body.message), ['first', 'other bot', 'other event'])
+})
+
+test('perMinute caps everything', async () => {
+    const notifier = createNotifier({ cooldown: 0, perMinute: 2 })
+
+    for (const message of ['one', 'two', 'three']) {
+        await notifier.notify('killer', 'kicked', message)
+    }
+
+    assert.deepStrictEqual(received.map(request => request.body.message), ['one', 'two'])
+})
+
+test('a webhook that is down does not throw', async () => {
+    const warnings = []
+    const notifier = new Notifier({
+        webhooks: [{ url: 'http://127.0.0.1:1/down' }],
+        timeout: 1000
+    }, { debug() {}, warn: (message) => warnings.push(message) })
+
+    await notifier.notify('killer', 'kicked', 'Kicked')
+    assert.strictEqual(warnings.length, 1)
+})
+
+test('numeric options must be positive', () => {
+    assert.throws(() => createNotifier({ reconnectAttempts: 0 }), /notifications\.reconnectAttempts/)
+    assert.throws(() => createNotifier({ perMinute: '20' }), /notifications\.perMinute/)
+    assert.throws(() => createNotifier({ cooldown: -1 }), /notifications\.cooldown/)
+    assert.doesNotThrow(() => createNotifier({ cooldown: 0 }), 'a cooldown of 0 turns it off')
+})
@@ -0,0 +1,77 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ReconnectPolicy, ReconnectStagger } = require('../lib/reconnect')
+
+const config = { reconnectDelay: 1000, maxReconnectDelay: 60 * 1000 }
+
+test('kick messages and socket errors are classified', () => {
+    const policy = new ReconnectPolicy(config)
+
+    assert.strictEqual(policy.classify('You are banned from this server'), 'banned')
+    assert.strictEqual(policy.classify('You are not whitelisted on this server!'), 'whitelist')
+    assert.strictEqual(policy.classify('You logged in from another location'), 'duplicate')
+    assert.strictEqual(policy.classify('Server is restarting'), 'restarting')
+    assert.strictEqual(policy.classify('Connection throttled! Please wait before reconnecting.'), 'throttled')
+    assert.strictEqual(policy.classify('Timed out'), 'default')
+    assert.strictEqual(policy.classify('connect ECONNREFUSED', Object.assign(new Error(), { code: 'ECONNREFUSED' })), 'unreachable')
+})
+
+test('configured reasons are matched before the built-in ones', () => {
+    const policy = new ReconnectPolicy(config, { reasons: [{ pattern: 'banned for spam', reason: 'spam' }] })
+
+    assert.strictEqual(policy.classify('You were banned for spam'), 'spam')
+    assert.strictEqual(policy.classify('You are banned'), 'banned')
+})
+
+test('plans follow the strategy for the reason', () => {
+    const policy = new ReconnectPolicy(config, { jitter: 0 })
+
+    assert.deepStrictEqual(policy.plan('banned', 1), { action: 'giveUp', delay: 0 })
+    assert.deepStrictEqual(policy.plan('duplicate', 3), { action: 'wait', delay: 60 * 1000, interval: 1000 })
+    assert.deepStrictEqual(policy.plan('restarting', 1), { action: 'ping', delay: 15 * 1000, interval: 10 * 1000 })
+    assert.strictEqual(policy.plan('no such reason', 0).delay, 1000, 'unknown reasons use the default strategy')
+})
+
+test('backoff grows per attempt and stops at the cap', () => {
+    const policy = new ReconnectPolicy(config, { jitter: 0 })
+
+    assert.deepStrictEqual([1, 2, 3, 5].map(attempts => policy.plan('throttled', attempts).delay), [60000, 120000, 240000, 300000])
+    assert.deepStrictEqual([0, 2, 20].map(attempts => policy.plan('default', attempts).delay), [1000, 2250, 60000])
+})
+
+test('jitter stays within its fraction', () => {
+    const policy = new ReconnectPolicy(config, { jitter: 0.2 })
+    for (let i = 0; i < 50; i++) {
+        const { delay } = policy.plan('restart', 1)
+        assert.ok(delay >= 4000 && delay <= 6000, `${delay} is outside 5000 ± 20%`)
+    }
+})
+
+test('invalid strategies are rejected', () => {
+    assert.throws(() => new ReconnectPolicy(config, { strategies: { banned: { action: 'panic' } } }), /Unknown reconnect action "panic"/)
+    assert.throws(() => new ReconnectPolicy(config, { strategies: { duplicate: { action: 'wait', delay: -1 } } }), /duplicate\.delay/)
+    assert.throws(() => new ReconnectPolicy(config, { jitter: 1 }), /jitter/)
+})
+
+test('stagger keeps slots a gap apart', () => {
+    const stagger = new ReconnectStagger(5000)
+
+    const first = stagger.book(0)
+    assert.strictEqual(stagger.book(0), first + 5000)
+    assert.strictEqual(stagger.book(0), first + 10000)
+    // A slot booked far ahead doesn't hold up the ones before it
+    const later = stagger.book(60 * 1000)
+    assert.ok(later >= first + 60 * 1000 && later < first + 60 * 1000 + 1000)
+})
+
+test('a released slot can be taken again', () => {
+    const stagger = new ReconnectStagger(5000)
+
+    const first = stagger.book(0)
+    const second = stagger.book(0)
+    stagger.release(second)
+    assert.strictEqual(stagger.book(0), second)
+
+    stagger.release(first)
+    assert.ok(stagger.reserve(0) < 5000)
+})
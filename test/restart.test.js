@@ -0,0 +1,58 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { RestartScheduler, parseTime } = require('../lib/restart')
+const { ReconnectStagger } = require('../lib/reconnect')
+
+const owner = { timeouts: new Set(), log() {}, bot: null }
+
+function createScheduler(options = {}) {
+    return new RestartScheduler(owner, { interval: 60 * 60 * 1000, ...options }, new ReconnectStagger())
+}
+
+// Local time, like the windows themselves
+function at(hours, minutes = 0, day = 1) {
+    return new Date(2024, 0, day, hours, minutes).getTime()
+}
+
+test('parseTime reads HH:MM as minutes after midnight', () => {
+    assert.strictEqual(parseTime('00:00', 'x'), 0)
+    assert.strictEqual(parseTime('4:30', 'x'), 270)
+    assert.strictEqual(parseTime('23:59', 'x'), 1439)
+
+    for (const bad of ['24:00', '12:60', '12', 'noon', undefined]) {
+        assert.throws(() => parseTime(bad, 'restart.windows[0].from'), /restart\.windows\[0\]\.from must be a time/)
+    }
+})
+
+test('no windows means any time', () => {
+    const scheduler = createScheduler()
+    assert.strictEqual(scheduler.isInWindow(new Date(at(13, 37))), true)
+    assert.strictEqual(scheduler.nextWindowTime(at(13, 37)), at(13, 37))
+})
+
+test('windows are half-open and may wrap midnight', () => {
+    const scheduler = createScheduler({ windows: [{ from: '04:00', to: '06:00' }, { from: '23:00', to: '01:00' }] })
+
+    assert.strictEqual(scheduler.isInWindow(new Date(at(4))), true)
+    assert.strictEqual(scheduler.isInWindow(new Date(at(5, 59))), true)
+    assert.strictEqual(scheduler.isInWindow(new Date(at(6))), false)
+    assert.strictEqual(scheduler.isInWindow(new Date(at(23, 30))), true)
+    assert.strictEqual(scheduler.isInWindow(new Date(at(0, 30))), true)
+    assert.strictEqual(scheduler.isInWindow(new Date(at(1))), false)
+})
+
+test('nextWindowTime moves a restart to the next opening', () => {
+    const scheduler = createScheduler({ windows: [{ from: '04:00', to: '06:00' }, { from: '23:00', to: '01:00' }] })
+
+    assert.strictEqual(scheduler.nextWindowTime(at(5)), at(5), 'already inside a window')
+    assert.strictEqual(scheduler.nextWindowTime(at(2)), at(4))
+    assert.strictEqual(scheduler.nextWindowTime(at(12)), at(23))
+    assert.strictEqual(createScheduler({ windows: [{ from: '04:00', to: '06:00' }] }).nextWindowTime(at(7)), at(4, 0, 2), 'tomorrow')
+})
+
+test('invalid options are rejected', () => {
+    assert.throws(() => createScheduler({ mode: 'sometimes' }), /Unknown restart mode "sometimes"/)
+    assert.throws(() => createScheduler({ interval: 0 }), /restart\.interval/)
+    assert.throws(() => createScheduler({ jitter: 1 }), /restart\.jitter/)
+    assert.throws(() => createScheduler({ windows: [{ from: '25:00', to: '01:00' }] }), /restart\.windows\[0\]\.from/)
+})
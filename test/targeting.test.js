@@ -0,0 +1,77 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { Vec3 } = require('vec3')
+const { TargetPolicy } = require('../lib/targeting')
+
+let nextId = 1
+
+function mob(name, type, [x, y, z], health) {
+    return {
+        id: nextId++,
+        name,
+        type,
+        position: new Vec3(x, y, z),
+        metadata: health === undefined ? [] : [health]
+    }
+}
+
+// Just enough of a mineflayer bot standing at the origin
+function createBot(entities) {
+    const self = { position: new Vec3(0, 0, 0) }
+    const keys = { metadataKeys: ['health'] }
+    return {
+        entity: self,
+        entities: Object.fromEntries([self, ...entities].map((entity, i) => [i, entity])),
+        registry: { entitiesByName: { zombie: keys, cow: keys, pig: keys, skeleton: keys } }
+    }
+}
+
+test('nearest by default, out of range mobs ignored', () => {
+    const near = mob('cow', 'animal', [2, 0, 0])
+    const bot = createBot([mob('zombie', 'hostile', [4, 0, 0]), near, mob('pig', 'animal', [10, 0, 0])])
+
+    assert.strictEqual(new TargetPolicy().select(bot), near)
+    assert.strictEqual(new TargetPolicy({ maxRange: 1 }).select(bot), null)
+})
+
+test('vertical range is checked on its own', () => {
+    const bot = createBot([mob('zombie', 'hostile', [0, 4, 0])])
+    assert.strictEqual(new TargetPolicy().select(bot), null)
+    assert.ok(new TargetPolicy({ verticalRange: 5 }).select(bot))
+})
+
+test('priorities apply in order with nearest breaking ties', () => {
+    const cow = mob('cow', 'animal', [1, 0, 0], 10)
+    const farZombie = mob('zombie', 'hostile', [5, 0, 0], 20)
+    const nearZombie = mob('zombie', 'hostile', [3, 0, 0], 20)
+    const skeleton = mob('skeleton', 'hostile', [4, 0, 0], 4)
+    const bot = createBot([cow, farZombie, nearZombie, skeleton])
+
+    assert.strictEqual(new TargetPolicy({ priority: ['hostile'] }).select(bot), nearZombie)
+    assert.strictEqual(new TargetPolicy({ priority: ['farthest'] }).select(bot), farZombie)
+    assert.strictEqual(new TargetPolicy({ priority: ['lowestHealth'] }).select(bot), skeleton)
+    assert.strictEqual(new TargetPolicy({ priority: ['hostile', 'highestHealth'] }).select(bot), nearZombie)
+    assert.strictEqual(new TargetPolicy({ priority: ['passive'] }).select(bot), cow)
+})
+
+test('types, whitelist and blacklist filter candidates', () => {
+    const cow = mob('cow', 'animal', [1, 0, 0])
+    const zombie = mob('zombie', 'hostile', [2, 0, 0])
+    const villager = mob('villager', 'passive', [0.5, 0, 0])
+    const bot = createBot([cow, zombie, villager])
+
+    assert.strictEqual(new TargetPolicy({ blacklist: ['COW'] }).select(bot), zombie)
+    assert.strictEqual(new TargetPolicy({ whitelist: ['zombie'] }).select(bot), zombie)
+    assert.strictEqual(new TargetPolicy({ types: ['passive'] }).select(bot), villager)
+})
+
+test('update() validates and keeps the old options on error', () => {
+    const policy = new TargetPolicy({ maxRange: 4 })
+
+    assert.throws(() => policy.update({ maxRange: 0 }), /maxRange/)
+    assert.throws(() => policy.update({ verticalRange: -1 }), /verticalRange/)
+    assert.throws(() => policy.update({ priority: ['random'] }), /Unknown priority random/)
+    assert.strictEqual(policy.options.maxRange, 4)
+
+    assert.deepStrictEqual(policy.update({ blacklist: ['Creeper'] }).blacklist, ['creeper'])
+})